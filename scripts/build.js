@@ -0,0 +1,50 @@
+// Builds the bundled entry points from the ES modules in src/:
+//   dist/aether.global.js - classic script defining the global `aether`, for <script> users
+//   dist/aether.cjs       - CommonJS, for require()
+// The ES module entry is src/index.js itself, so bundlers can tree-shake per module.
+// Modules are concatenated in the order src/index.js imports them. That works
+// because every top-level name in src/ is unique across the library, so import
+// and export statements can simply be dropped.
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const { version } = JSON.parse(readFileSync(join(root, 'package.json'), 'utf8'));
+
+const IMPORT = /^import\s[\s\S]*?\sfrom\s+'([^']+)';\n/gm;
+const EXPORT_LIST = /^(?:\/\/.*\n)?export\s*\{[\s\S]*?\};\n/gm; // With its leading comment line
+const EXPORT_DEFAULT = /^export default \w+;\n/gm;
+const EXPORT_DECLARATION = /^export (?=(?:async )?(?:function|const|let|class) )/gm;
+
+function read(file) {
+    return readFileSync(join(root, 'src', file), 'utf8');
+}
+
+function strip(source) {
+    return source
+        .replace(IMPORT, '')
+        .replace(EXPORT_LIST, '')
+        .replace(EXPORT_DEFAULT, '')
+        .replace(EXPORT_DECLARATION, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function indent(source) {
+    return source.split('\n').map(line => (line ? `    ${line}` : line)).join('\n');
+}
+
+const entry = read('index.js');
+const modules = Array.from(entry.matchAll(IMPORT), ([, path]) => path.replace(/^\.\//, ''));
+const body = [...modules.map(file => strip(read(file))), strip(entry)].join('\n\n');
+
+const banner = `/*! Aether.js v${version} | Generated from src/ by scripts/build.js - do not edit */\n`;
+const bundle = `const aether = (function() {\n    'use strict';\n\n${indent(body)}\n\n    return aether;\n})();\n`;
+
+mkdirSync(join(root, 'dist'), { recursive: true });
+writeFileSync(join(root, 'dist', 'aether.global.js'), banner + bundle);
+writeFileSync(join(root, 'dist', 'aether.cjs'), `${banner}${bundle}\nmodule.exports = aether;\nmodule.exports.default = aether;\n`);
+
+console.log(`Built dist/aether.global.js and dist/aether.cjs from ${modules.length} modules`);
@@ -0,0 +1,977 @@
+// --- Module: Animation ---
+
+import { reportWarning } from './logging.js';
+
+/**
+ * Promise-based wrapper for the Web Animations API with fallback.
+ * @param {Element} element - The element to animate.
+ * @param {Keyframe[]} keyframes - An array of keyframes.
+ * @param {object} [options={ duration: 300 }] - Animation options.
+ * @returns {Promise<Animation>} A promise that resolves when the animation finishes.
+ */
+export function animate(element, keyframes, options = { duration: 300 }) {
+    if (!element) {
+        return Promise.reject(new Error('Invalid element provided to animate'));
+    }
+    
+    // Feature detection with fallback
+    if (typeof element.animate !== 'function') {
+        reportWarning('animation', 'Web Animations API not supported, using fallback');
+        return animateFallback(element, keyframes, options);
+    }
+    
+    return new Promise((resolve, reject) => {
+        try {
+            const animation = element.animate(keyframes, options);
+            animation.onfinish = () => resolve(animation);
+            animation.oncancel = () => reject(new Error('Animation was cancelled'));
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Fallback animation using CSS transitions.
+ * @private
+ */
+function animateFallback(element, keyframes, options) {
+    return new Promise(resolve => {
+        const duration = options.duration ?? 300;
+        const startFrame = keyframes[0] || {};
+        const endFrame = keyframes[keyframes.length - 1] || {};
+        
+        // Apply start state
+        Object.assign(element.style, startFrame);
+        element.style.transition = `all ${duration}ms ease`;
+        
+        requestAnimationFrame(() => {
+            Object.assign(element.style, endFrame);
+            setTimeout(() => {
+                element.style.transition = '';
+                resolve({ finished: Promise.resolve() });
+            }, duration);
+        });
+    });
+}
+
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Keyframes for one side of a slide: 'bottom' starts below and moves up
+const SLIDE_OFFSETS = {
+    top: distance => `translateY(-${distance})`,
+    bottom: distance => `translateY(${distance})`,
+    left: distance => `translateX(-${distance})`,
+    right: distance => `translateX(${distance})`
+};
+
+function slideFrom(options) {
+    const offset = SLIDE_OFFSETS[options.direction || 'bottom'] || SLIDE_OFFSETS.bottom;
+    return offset(options.distance || '20px');
+}
+
+// Final styles of the slide and scale "out" presets stay inline once the animation ends
+function keepLastFrame(element, keyframes) {
+    return () => Object.assign(element.style, keyframes[keyframes.length - 1]);
+}
+
+/**
+ * Preset factories: (element, options) => { keyframes, options, before?, after? }.
+ * `before` runs right before animating and `after` once it finished.
+ * @private
+ */
+const animationPresets = new Map(Object.entries({
+    fadeIn: element => ({
+        keyframes: [{ opacity: 0 }, { opacity: 1 }],
+        options: { duration: 400 },
+        after: () => { element.style.opacity = ''; }
+    }),
+    fadeOut: () => ({
+        keyframes: [{ opacity: 1 }, { opacity: 0 }],
+        options: { duration: 400 }
+    }),
+    slideIn: (element, options) => ({
+        keyframes: [{ transform: slideFrom(options), opacity: 0 }, { transform: 'none', opacity: 1 }],
+        after: () => { element.style.transform = ''; element.style.opacity = ''; }
+    }),
+    slideOut: (element, options) => {
+        const keyframes = [{ transform: 'none', opacity: 1 }, { transform: slideFrom(options), opacity: 0 }];
+        return { keyframes, after: keepLastFrame(element, keyframes) };
+    },
+    scaleIn: (element, options) => ({
+        keyframes: [{ transform: `scale(${options.scale ?? 0.9})`, opacity: 0 }, { transform: 'none', opacity: 1 }],
+        after: () => { element.style.transform = ''; element.style.opacity = ''; }
+    }),
+    scaleOut: (element, options) => {
+        const keyframes = [{ transform: 'none', opacity: 1 }, { transform: `scale(${options.scale ?? 0.9})`, opacity: 0 }];
+        return { keyframes, after: keepLastFrame(element, keyframes) };
+    },
+    // Expands a hidden or collapsed element to its natural (auto) height
+    expand: element => {
+        const wasHidden = element.hidden;
+        element.hidden = false; // Measured while shown
+        const height = element.scrollHeight;
+        element.hidden = wasHidden;
+        return {
+            keyframes: [{ height: '0px' }, { height: `${height}px` }],
+            before: () => {
+                element.hidden = false;
+                element.style.overflow = 'hidden';
+            },
+            after: () => { element.style.height = ''; element.style.overflow = ''; }
+        };
+    },
+    // Collapses to zero height, then hides the element
+    collapse: element => ({
+        keyframes: [{ height: `${element.offsetHeight}px` }, { height: '0px' }],
+        before: () => { element.style.overflow = 'hidden'; },
+        after: () => {
+            element.hidden = true;
+            element.style.height = '';
+            element.style.overflow = '';
+        }
+    }),
+    shake: (element, options) => {
+        const distance = options.distance || '8px';
+        return {
+            keyframes: ['0', `-${distance}`, distance, `-${distance}`, distance, '0']
+                .map(x => ({ transform: `translateX(${x})` })),
+            options: { duration: 400 }
+        };
+    },
+    pulse: (element, options) => ({
+        keyframes: [{ transform: 'scale(1)' }, { transform: `scale(${options.scale ?? 1.05})` }, { transform: 'scale(1)' }],
+        options: { duration: 400 }
+    })
+}));
+
+function resolvePreset(name, element, options = {}) {
+    const factory = animationPresets.get(name);
+    if (!factory) {
+        throw new Error(`Unknown animation preset "${name}"`);
+    }
+    return factory(element, options);
+}
+
+/**
+ * Runs a named preset. Under prefers-reduced-motion it completes
+ * instantly (still applying its end state) unless
+ * options.respectReducedMotion is false.
+ * @private
+ */
+function runPreset(name, element, options = {}) {
+    if (!element) {
+        return Promise.reject(new Error('Invalid element provided to animate'));
+    }
+    let preset;
+    try {
+        preset = resolvePreset(name, element, options);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    
+    const timing = { duration: 300, easing: 'ease', ...preset.options, ...options };
+    if (prefersReducedMotion() && options.respectReducedMotion !== false) {
+        timing.duration = 0;
+    }
+    if (preset.before) preset.before();
+    return animate(element, preset.keyframes, timing).then(animation => {
+        if (preset.after) preset.after();
+        return animation;
+    });
+}
+
+/**
+ * Preset library: presets.slideIn(element, options), etc. Options are
+ * animate() timing options plus preset settings (direction, distance,
+ * scale). presets.register(name, factory) adds a preset.
+ */
+export const presets = {
+    register(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error('Preset factory must be a function');
+        }
+        animationPresets.set(name, factory);
+        presets[name] = (element, options) => runPreset(name, element, options);
+        return presets;
+    }
+};
+animationPresets.forEach((factory, name) => {
+    presets[name] = (element, options) => runPreset(name, element, options);
+});
+
+/**
+ * Fades an element in.
+ * @param {Element} element - The element to animate.
+ * @param {object} [options={ duration: 400 }] - Animation options.
+ */
+export function fadeIn(element, options = { duration: 400 }) {
+    return runPreset('fadeIn', element, options);
+}
+
+/**
+ * Fades an element out.
+ * @param {Element} element - The element to animate.
+ * @param {object} [options={ duration: 400 }] - Animation options.
+ */
+export function fadeOut(element, options = { duration: 400 }) {
+    return runPreset('fadeOut', element, options);
+}
+
+function resolveTargets(targets) {
+    if (typeof targets === 'string') return Array.from(document.querySelectorAll(targets));
+    if (!targets) return [];
+    if (typeof targets.length === 'number' && !(targets instanceof Element)) return Array.from(targets);
+    return [targets];
+}
+
+function activeDuration(timing) {
+    return (timing.delay || 0) + timing.duration * (timing.iterations ?? 1) + (timing.endDelay || 0);
+}
+
+/**
+ * Creates a timeline that sequences and overlaps animations across
+ * elements and controls them as one group.
+ *
+ * Steps are appended after the previous one unless a position is given:
+ * a time in ms, '<' (start with the previous step), '<+=100', '+=100'
+ * (gap after the end) or '-=100' (overlap).
+ *
+ * @param {object} [config] - Timeline options.
+ * @param {object} [config.defaults] - Timing defaults for every step.
+ * @param {boolean} [config.respectReducedMotion=true] - Jump to the end under prefers-reduced-motion.
+ * @returns {object} The timeline.
+ */
+export function timeline(config = {}) {
+    const defaults = { duration: 300, easing: 'ease', ...config.defaults };
+    const entries = []; // { element, keyframes, timing, start, before, after }
+    let cursor = 0; // End of the timeline so far
+    let lastStart = 0;
+    let animations = null;
+    let rate = 1;
+    const started = new Set(); // Entries whose before hook ran
+    const ended = new Set(); // Entries whose after hook ran
+    let hookTimer = null;
+    const supported = typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function';
+    
+    function resolvePosition(position) {
+        if (typeof position === 'number') return position;
+        if (typeof position !== 'string') return cursor;
+        const match = /^(<)?(?:([+-])=(\d+(?:\.\d+)?))?$/.exec(position);
+        if (!match) {
+            reportWarning('animation', `Invalid timeline position "${position}"`);
+            return cursor;
+        }
+        const base = match[1] ? lastStart : cursor;
+        const offset = match[2] ? Number(match[3]) * (match[2] === '-' ? -1 : 1) : 0;
+        return Math.max(0, base + offset);
+    }
+    
+    function addStep(targets, keyframes, options, start) {
+        const elements = resolveTargets(targets);
+        let end = start;
+        elements.forEach((element, index) => {
+            let frames = keyframes;
+            let before = null;
+            let after = null;
+            let timing = { ...defaults, ...options };
+            if (typeof keyframes === 'string') {
+                const preset = resolvePreset(keyframes, element, options);
+                frames = preset.keyframes;
+                before = preset.before || null;
+                after = preset.after || null;
+                timing = { ...defaults, ...preset.options, ...options };
+            }
+            const { stagger = 0, ...rest } = timing;
+            const offset = typeof stagger === 'function' ? stagger(index, elements.length) : stagger * index;
+            entries.push({ element, keyframes: frames, timing: rest, start: start + offset, before, after });
+            end = Math.max(end, start + offset + activeDuration(rest));
+        });
+        return end;
+    }
+    
+    function place(start, end) {
+        lastStart = start;
+        cursor = Math.max(cursor, end);
+    }
+    
+    // Every animation ends together so the group reverses and seeks in step
+    function ensureAnimations() {
+        if (animations) return animations;
+        animations = entries.map(({ element, keyframes, timing, start }) => {
+            const endDelay = Number.isFinite(cursor)
+                ? cursor - start - activeDuration(timing) + (timing.endDelay || 0)
+                : timing.endDelay || 0;
+            const animation = element.animate(keyframes, {
+                fill: 'both',
+                ...timing,
+                delay: start + (timing.delay || 0),
+                endDelay
+            });
+            animation.pause();
+            animation.playbackRate = rate;
+            return animation;
+        });
+        return animations;
+    }
+    
+    /**
+     * Runs the preset hooks of steps the timeline has reached: `before`
+     * once a step starts and `after` once it ends, each once until
+     * cancel(). While playing forwards, waits for the next one.
+     * @private
+     */
+    function syncHooks() {
+        clearTimeout(hookTimer);
+        hookTimer = null;
+        const lead = animations && animations[0];
+        if (!lead) return;
+        const time = lead.currentTime || 0;
+        let next = Infinity;
+        const reach = (entry, hook, at, done) => {
+            if (!entry[hook] || done.has(entry)) return;
+            if (at <= time) {
+                done.add(entry);
+                entry[hook]();
+            } else {
+                next = Math.min(next, at);
+            }
+        };
+        entries.forEach(entry => {
+            reach(entry, 'before', entry.start, started);
+            reach(entry, 'after', entry.start + activeDuration(entry.timing), ended);
+        });
+        if (next < Infinity && lead.playState === 'running' && lead.playbackRate > 0) {
+            hookTimer = setTimeout(syncHooks, (next - time) / lead.playbackRate);
+        }
+    }
+    
+    function settle() {
+        if (config.respectReducedMotion !== false && prefersReducedMotion()) {
+            animations.forEach(animation => animation.finish());
+        }
+    }
+    
+    function control(fn) {
+        if (!supported) {
+            reportWarning('animation', 'Web Animations API not supported, timeline controls are unavailable');
+            return api;
+        }
+        ensureAnimations();
+        fn();
+        syncHooks();
+        return api;
+    }
+    
+    const api = {
+        add(targets, keyframes, options = {}, position) {
+            if (animations) {
+                reportWarning('animation', 'Cannot add steps to a timeline that has started');
+                return api;
+            }
+            const start = resolvePosition(position);
+            place(start, addStep(targets, keyframes, options, start));
+            return api;
+        },
+        
+        /**
+         * Adds steps that start together.
+         * @param {Array} steps - [targets, keyframes, options?] tuples.
+         */
+        parallel(steps, position) {
+            if (animations) {
+                reportWarning('animation', 'Cannot add steps to a timeline that has started');
+                return api;
+            }
+            const start = resolvePosition(position);
+            let end = start;
+            steps.forEach(([targets, keyframes, options = {}]) => {
+                end = Math.max(end, addStep(targets, keyframes, options, start));
+            });
+            place(start, end);
+            return api;
+        },
+        
+        // Plays forwards, from the start once finished
+        play() {
+            if (!supported) {
+                reportWarning('animation', 'Web Animations API not supported, using fallback');
+                entries.forEach(({ element, keyframes, timing, start, before, after }) => setTimeout(() => {
+                    if (before) before();
+                    animateFallback(element, keyframes, timing).then(() => {
+                        if (after) after();
+                    });
+                }, start));
+                return api;
+            }
+            return control(() => {
+                animations.forEach(animation => {
+                    animation.playbackRate = Math.abs(rate);
+                    animation.play();
+                });
+                settle();
+            });
+        },
+        
+        pause: () => control(() => animations.forEach(animation => animation.pause())),
+        
+        // Continues in the current direction
+        resume: () => control(() => {
+            animations.forEach(animation => animation.play());
+            settle();
+        }),
+        
+        reverse: () => control(() => {
+            animations.forEach(animation => animation.reverse());
+            settle();
+        }),
+        
+        seek: (time) => control(() => animations.forEach(animation => {
+            animation.currentTime = time;
+        })),
+        
+        finish: () => control(() => animations.forEach(animation => animation.finish())),
+        
+        // Removes all effects; the timeline can be played again afterwards
+        cancel() {
+            if (animations) animations.forEach(animation => animation.cancel());
+            animations = null;
+            started.clear();
+            ended.clear();
+            clearTimeout(hookTimer);
+            return api;
+        },
+        
+        get playbackRate() {
+            return rate;
+        },
+        
+        set playbackRate(value) {
+            rate = value;
+            if (animations) {
+                animations.forEach(animation => {
+                    const next = (Math.sign(animation.playbackRate) || 1) * Math.abs(value);
+                    if (typeof animation.updatePlaybackRate === 'function') {
+                        animation.updatePlaybackRate(next);
+                    } else {
+                        animation.playbackRate = next;
+                    }
+                });
+                syncHooks();
+            }
+        },
+        
+        get duration() {
+            return cursor;
+        },
+        
+        get currentTime() {
+            return animations && animations.length ? animations[0].currentTime : 0;
+        },
+        
+        get playState() {
+            return animations && animations.length ? animations[0].playState : 'idle';
+        },
+        
+        // Resolves once every animation finished in the current direction
+        get finished() {
+            if (!animations) return Promise.resolve(api);
+            return Promise.all(animations.map(animation => animation.finished)).then(() => api);
+        }
+    };
+    
+    return api;
+}
+
+const leaving = new WeakMap(); // Element -> { animation promise, cancelled flag } while a leave runs
+const layoutAnimations = new WeakMap(); // Element -> running FLIP animation
+
+/**
+ * Runs an enter/leave effect: a preset name, a keyframes array or false.
+ * @private
+ */
+function runEffect(element, effect, options) {
+    if (!effect) return Promise.resolve(null);
+    if (typeof effect === 'string') return runPreset(effect, element, options);
+    const timing = { duration: 300, easing: 'ease', ...options };
+    if (prefersReducedMotion() && options.respectReducedMotion !== false) timing.duration = 0;
+    return animate(element, effect, timing);
+}
+
+function effectTiming(options) {
+    const { before, enter, leave, ...timing } = options;
+    return timing;
+}
+
+/**
+ * Inserts an element and plays an enter animation. Inserting an
+ * element that is still leaving cancels its leave animation.
+ * @param {Element} element - Element to insert.
+ * @param {Element|string} parent - Parent element or selector.
+ * @param {object} [options] - animate() timing options, plus:
+ * @param {Node} [options.before] - Insert before this child instead of appending.
+ * @param {string|Keyframe[]|false} [options.enter='fadeIn'] - Preset name, keyframes or false.
+ * @returns {Promise<Element>} Resolves with the element once the animation ends.
+ */
+export function insert(element, parent, options = {}) {
+    const container = typeof parent === 'string' ? document.querySelector(parent) : parent;
+    if (!element || !container) {
+        return Promise.reject(new Error('insert() needs an element and a parent'));
+    }
+    
+    const pending = leaving.get(element);
+    if (pending) {
+        pending.cancelled = true;
+        leaving.delete(element);
+        if (typeof element.getAnimations === 'function') {
+            element.getAnimations().forEach(animation => animation.cancel());
+        }
+    }
+    
+    container.insertBefore(element, options.before || null);
+    const enter = options.enter === undefined ? 'fadeIn' : options.enter;
+    // An enter cut short by remove() still counts as done
+    return runEffect(element, enter, effectTiming(options)).catch(() => null).then(() => element);
+}
+
+/**
+ * Plays a leave animation, then removes the element. Calling it again
+ * while the element is leaving returns the same promise.
+ * @param {Element} element - Element to remove.
+ * @param {object} [options] - animate() timing options, plus:
+ * @param {string|Keyframe[]|false} [options.leave='fadeOut'] - Preset name, keyframes or false.
+ * @returns {Promise<boolean>} Resolves true once removed, false if insert() interrupted it.
+ */
+export function remove(element, options = {}) {
+    if (!element) {
+        return Promise.reject(new Error('remove() needs an element'));
+    }
+    const pending = leaving.get(element);
+    if (pending) return pending.promise;
+    if (!element.isConnected) return Promise.resolve(true);
+    
+    if (typeof element.getAnimations === 'function') {
+        element.getAnimations().forEach(animation => animation.cancel());
+    }
+    
+    const leave = options.leave === undefined ? 'fadeOut' : options.leave;
+    const entry = { cancelled: false };
+    entry.promise = runEffect(element, leave, effectTiming(options))
+        .catch(() => null)
+        .then(() => {
+            if (entry.cancelled) return false;
+            leaving.delete(element);
+            element.remove();
+            return true;
+        });
+    leaving.set(element, entry);
+    return entry.promise;
+}
+
+/**
+ * Animates layout changes with FLIP: measures the container's children,
+ * runs the DOM change, then animates each moved child from its old
+ * position. Children added by the change play the enter animation.
+ * Use remove() for children that should animate out.
+ * @param {Element|string} container - Element (or selector) whose children move.
+ * @param {Function} mutate - Performs the DOM change; may return a promise.
+ * @param {object} [options] - animate() timing options, plus:
+ * @param {string|Keyframe[]|false} [options.enter='fadeIn'] - Effect for new children.
+ * @returns {Promise} Resolves once every animation finished.
+ */
+export async function animateLayout(container, mutate, options = {}) {
+    const root = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!root) {
+        throw new Error('Invalid container provided to animateLayout');
+    }
+    
+    // First: where children are now, including any movement in flight
+    const first = new Map();
+    Array.from(root.children).forEach(child => first.set(child, child.getBoundingClientRect()));
+    
+    await mutate();
+    
+    const timing = { duration: 300, easing: 'ease', ...effectTiming(options) };
+    if (prefersReducedMotion() && options.respectReducedMotion !== false) return;
+    
+    const running = [];
+    Array.from(root.children).forEach(child => {
+        const previous = layoutAnimations.get(child);
+        if (previous) previous.cancel();
+        
+        const before = first.get(child);
+        if (!before) {
+            if (!leaving.has(child)) {
+                const enter = options.enter === undefined ? 'fadeIn' : options.enter;
+                running.push(runEffect(child, enter, effectTiming(options)).catch(() => null));
+            }
+            return;
+        }
+        
+        // Last, Invert, Play
+        const after = child.getBoundingClientRect();
+        const dx = before.left - after.left;
+        const dy = before.top - after.top;
+        const sx = after.width ? before.width / after.width : 1;
+        const sy = after.height ? before.height / after.height : 1;
+        if (!dx && !dy && sx === 1 && sy === 1) return;
+        
+        const keyframes = [
+            { transformOrigin: '0 0', transform: `translate(${dx}px, ${dy}px) scale(${sx}, ${sy})` },
+            { transformOrigin: '0 0', transform: 'none' }
+        ];
+        if (typeof child.animate === 'function') {
+            const animation = child.animate(keyframes, timing);
+            layoutAnimations.set(child, animation);
+            running.push(animation.finished.catch(() => null).then(() => {
+                if (layoutAnimations.get(child) === animation) layoutAnimations.delete(child);
+            }));
+        } else {
+            running.push(animate(child, keyframes, timing).catch(() => null));
+        }
+    });
+    
+    await Promise.all(running);
+}
+
+/**
+ * Creates a physics-based spring that animates a number or an object of
+ * numbers. Retargeting with set() mid-flight keeps the current velocity,
+ * so interrupted motion stays continuous.
+ * @param {object} options - Spring options.
+ * @param {number|object} [options.from] - Start value (defaults to `to`).
+ * @param {number|object} [options.to] - Target value; animates immediately when both are given.
+ * @param {number} [options.stiffness=170] - Spring constant.
+ * @param {number} [options.damping=26] - Friction.
+ * @param {number} [options.mass=1] - Mass.
+ * @param {number|object} [options.velocity] - Initial velocity in units per second.
+ * @param {number} [options.precision=0.01] - Distance from the target that counts as at rest.
+ * @param {Function} [options.onUpdate] - Called each frame with (value, velocity).
+ * @param {Function} [options.onRest] - Called with the value once the spring settles.
+ * @param {Element} [options.element] - Element to style each frame, with `style`.
+ * @param {Function} [options.style] - Maps the value to a style object.
+ * @returns {object} Spring controller.
+ */
+export function spring(options = {}) {
+    const config = { stiffness: 170, damping: 26, mass: 1, precision: 0.01, ...options };
+    const initial = options.from !== undefined ? options.from : (options.to !== undefined ? options.to : 0);
+    const scalar = typeof initial === 'number';
+    const wrap = value => (scalar ? { value } : { ...value });
+    const unwrap = values => (scalar ? values.value : { ...values });
+    
+    let current = wrap(initial);
+    let target = wrap(options.to !== undefined ? options.to : initial);
+    let velocity = {};
+    Object.keys(current).forEach(key => {
+        const start = options.velocity === undefined ? 0 : wrap(options.velocity)[key];
+        velocity[key] = start || 0;
+    });
+    
+    let frame = null;
+    let lastTime = null;
+    let resolveRest = null;
+    let restPromise = Promise.resolve(true);
+    
+    function render() {
+        const value = unwrap(current);
+        if (config.element && config.style) Object.assign(config.element.style, config.style(value));
+        if (config.onUpdate) config.onUpdate(value, unwrap(velocity));
+    }
+    
+    function settle(rested) {
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        lastTime = null;
+        if (resolveRest) {
+            const resolve = resolveRest;
+            resolveRest = null;
+            resolve(rested);
+        }
+    }
+    
+    function snapToTarget() {
+        current = { ...target };
+        Object.keys(velocity).forEach(key => { velocity[key] = 0; });
+        render();
+        settle(true);
+        if (config.onRest) config.onRest(unwrap(current));
+    }
+    
+    function step(time) {
+        // Fixed sub-steps keep stiff springs stable on slow frames
+        const elapsed = Math.min(time - (lastTime ?? time), 64) / 1000;
+        lastTime = time;
+        const steps = Math.max(1, Math.ceil(elapsed / 0.004));
+        const dt = elapsed / steps;
+        const keys = Object.keys(target);
+        
+        for (let i = 0; i < steps; i++) {
+            keys.forEach(key => {
+                const force = -config.stiffness * (current[key] - target[key]) - config.damping * velocity[key];
+                velocity[key] += (force / config.mass) * dt;
+                current[key] += velocity[key] * dt;
+            });
+        }
+        
+        const resting = keys.every(key =>
+            Math.abs(target[key] - current[key]) < config.precision &&
+            Math.abs(velocity[key]) < config.precision * 10
+        );
+        if (resting) {
+            snapToTarget();
+            return;
+        }
+        render();
+        frame = requestAnimationFrame(step);
+    }
+    
+    function start() {
+        if (config.respectReducedMotion !== false && prefersReducedMotion()) {
+            snapToTarget();
+            return;
+        }
+        if (frame !== null) return; // Already moving; the new target applies next frame
+        if (!resolveRest) restPromise = new Promise(resolve => { resolveRest = resolve; });
+        frame = requestAnimationFrame(step);
+    }
+    
+    const api = {
+        /**
+         * Moves towards a new target, keeping the current velocity unless
+         * one is given (e.g. the release velocity of a drag).
+         */
+        set(to, { velocity: nextVelocity } = {}) {
+            target = wrap(to);
+            Object.keys(target).forEach(key => {
+                if (!(key in current)) {
+                    current[key] = target[key];
+                    velocity[key] = 0;
+                }
+            });
+            if (nextVelocity !== undefined) {
+                const wrapped = wrap(nextVelocity);
+                Object.keys(wrapped).forEach(key => { velocity[key] = wrapped[key]; });
+            }
+            start();
+            return api;
+        },
+        
+        // Sets the value instantly and stops any motion
+        jump(value) {
+            current = wrap(value);
+            target = { ...current };
+            velocity = {};
+            Object.keys(current).forEach(key => { velocity[key] = 0; });
+            render();
+            settle(true);
+            return api;
+        },
+        
+        stop() {
+            settle(false);
+            return api;
+        },
+        
+        get value() {
+            return unwrap(current);
+        },
+        
+        get velocity() {
+            return unwrap(velocity);
+        },
+        
+        get target() {
+            return unwrap(target);
+        },
+        
+        get isAnimating() {
+            return frame !== null;
+        },
+        
+        // Resolves true once at rest, or false if stopped first
+        get finished() {
+            return restPromise;
+        }
+    };
+    
+    render();
+    if (options.from !== undefined && options.to !== undefined) start();
+    return api;
+}
+
+function scrollProgress(source, axis) {
+    const vertical = axis === 'block' || axis === 'y';
+    const position = vertical ? source.scrollTop : source.scrollLeft;
+    const range = vertical
+        ? source.scrollHeight - source.clientHeight
+        : source.scrollWidth - source.clientWidth;
+    return range > 0 ? position / range : 0;
+}
+
+// 0 when the subject starts entering the viewport, 1 once it has fully left
+function viewProgress(subject, source, axis) {
+    const vertical = axis === 'block' || axis === 'y';
+    const rect = subject.getBoundingClientRect();
+    const isRoot = source === document.scrollingElement || source === document.documentElement;
+    const port = isRoot
+        ? { top: 0, left: 0, height: window.innerHeight, width: window.innerWidth }
+        : source.getBoundingClientRect();
+    const start = vertical ? port.top + port.height : port.left + port.width;
+    const travelled = start - (vertical ? rect.top : rect.left);
+    const total = (vertical ? port.height + rect.height : port.width + rect.width) || 1;
+    return Math.min(1, Math.max(0, travelled / total));
+}
+
+/**
+ * Ties an animation's progress to scrolling instead of time. Uses
+ * ScrollTimeline / ViewTimeline where supported, otherwise drives a
+ * paused animation from a requestAnimationFrame-throttled scroll listener.
+ * @param {Element} element - The element to animate.
+ * @param {Keyframe[]} keyframes - An array of keyframes.
+ * @param {object} [options] - Timing options (easing etc.), plus:
+ * @param {'scroll'|'view'} [options.type='scroll'] - Follow the container's scroll position, or the subject's visibility.
+ * @param {Element} [options.source] - Scroll container (default: the document).
+ * @param {Element} [options.subject] - Element whose visibility drives a 'view' animation (default: element).
+ * @param {string} [options.axis='block'] - 'block', 'inline', 'x' or 'y'.
+ * @returns {object} Controller with animation, progress and cancel().
+ */
+export function scrollAnimate(element, keyframes, options = {}) {
+    if (!element) {
+        throw new Error('Invalid element provided to scrollAnimate');
+    }
+    const {
+        type = 'scroll',
+        source = document.scrollingElement || document.documentElement,
+        subject = element,
+        axis = 'block',
+        respectReducedMotion = true,
+        ...timing
+    } = options;
+    
+    const controller = { animation: null, native: false, progress: 0, cancel() {} };
+    if (respectReducedMotion && prefersReducedMotion()) return controller;
+    if (typeof element.animate !== 'function') {
+        reportWarning('animation', 'Web Animations API not supported, scroll animation disabled');
+        return controller;
+    }
+    
+    const TimelineClass = type === 'view' ? window.ViewTimeline : window.ScrollTimeline;
+    if (typeof TimelineClass === 'function') {
+        const scrollTimeline = type === 'view'
+            ? new TimelineClass({ subject, axis })
+            : new TimelineClass({ source, axis });
+        const animation = element.animate(keyframes, { fill: 'both', ...timing, timeline: scrollTimeline });
+        return {
+            animation,
+            native: true,
+            get progress() {
+                return animation.effect.getComputedTiming().progress ?? 0;
+            },
+            cancel: () => animation.cancel()
+        };
+    }
+    
+    // Fallback: a paused 1000ms animation seeked to the scroll progress
+    const animation = element.animate(keyframes, { fill: 'both', ...timing, duration: 1000 });
+    animation.pause();
+    const scrollTarget = source === document.scrollingElement || source === document.documentElement ? window : source;
+    let frame = null;
+    
+    const update = () => {
+        frame = null;
+        controller.progress = type === 'view'
+            ? viewProgress(subject, source, axis)
+            : scrollProgress(source, axis);
+        animation.currentTime = controller.progress * 1000;
+    };
+    const schedule = () => {
+        if (frame === null) frame = requestAnimationFrame(update);
+    };
+    
+    scrollTarget.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule, { passive: true });
+    update();
+    
+    controller.animation = animation;
+    controller.cancel = () => {
+        scrollTarget.removeEventListener('scroll', schedule);
+        window.removeEventListener('resize', schedule);
+        if (frame !== null) cancelAnimationFrame(frame);
+        animation.cancel();
+    };
+    return controller;
+}
+
+/**
+ * Runs a DOM update as a view transition. Uses document.startViewTransition
+ * where available, otherwise crossfades the target with animate().
+ * While it runs, `name` and `direction` are set on <html> as
+ * data-aether-transition / data-aether-direction (and passed as view
+ * transition types) so CSS can pick the animation.
+ * @param {Function} update - Applies the DOM change; may return a promise.
+ * @param {object} [options] - Transition options.
+ * @param {string} [options.name] - Transition name.
+ * @param {string} [options.direction] - e.g. 'forward' or 'back'.
+ * @param {string[]} [options.types] - Extra view transition types.
+ * @param {Element|string} [options.target=document.body] - Element the fallback crossfades.
+ * @param {number} [options.duration=250] - Fallback crossfade duration in ms.
+ * @returns {Promise} Resolves with the update's result once the transition finished.
+ */
+export function transition(update, options = {}) {
+    if (typeof update !== 'function') {
+        return Promise.reject(new Error('transition() expects an update function'));
+    }
+    
+    const { name, direction, types = [], duration = 250 } = options;
+    const root = document.documentElement;
+    const marks = { aetherTransition: name, aetherDirection: direction };
+    Object.keys(marks).forEach(key => {
+        if (marks[key]) root.dataset[key] = marks[key];
+    });
+    const cleanup = () => Object.keys(marks).forEach(key => {
+        if (marks[key] && root.dataset[key] === marks[key]) delete root.dataset[key];
+    });
+    
+    if (prefersReducedMotion()) {
+        return Promise.resolve().then(update).finally(cleanup);
+    }
+    
+    if (typeof document.startViewTransition === 'function') {
+        let result;
+        const run = () => Promise.resolve(update()).then(value => { result = value; });
+        const allTypes = [direction, name, ...types].filter(Boolean);
+        let viewTransition;
+        try {
+            viewTransition = document.startViewTransition({ update: run, types: allTypes });
+        } catch {
+            viewTransition = document.startViewTransition(run); // No transition types support
+        }
+        // A skipped transition has still applied the update
+        return viewTransition.updateCallbackDone
+            .then(() => viewTransition.finished.catch(() => {}))
+            .then(() => result)
+            .finally(cleanup);
+    }
+    
+    const target = (typeof options.target === 'string'
+        ? document.querySelector(options.target)
+        : options.target) || document.body;
+    const fade = { duration: duration / 2, easing: 'ease' };
+    
+    return animate(target, [{ opacity: 1 }, { opacity: 0 }], fade)
+        .catch(() => {})
+        .then(() => {
+            target.style.opacity = '0';
+            return update();
+        })
+        .then(value => animate(target, [{ opacity: 0 }, { opacity: 1 }], fade)
+            .catch(() => {})
+            .then(() => value))
+        .finally(() => {
+            target.style.opacity = '';
+            cleanup();
+        });
+}
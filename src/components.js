@@ -0,0 +1,1247 @@
+// --- Module: Web Components ---
+
+import { isPlainObject, setPath } from './state.js';
+import { deepClone } from './utilities.js';
+import { reportError, reportWarning } from './logging.js';
+
+const EXPRESSION = /\{\{\s*(.+?)\s*\}\}/g;
+const LITERALS = { true: true, false: false, null: null, undefined: undefined };
+
+/**
+ * Evaluates a template expression: a dot path, a literal, `$event`,
+ * or any of those negated with `!`. No arbitrary JavaScript is run.
+ * @private
+ */
+export function evaluate(expr, scope) {
+    expr = expr.trim();
+    if (expr.startsWith('!')) return !evaluate(expr.slice(1), scope);
+    if (/^-?\d+(\.\d+)?$/.test(expr)) return Number(expr);
+    if (/^(['"]).*\1$/.test(expr)) return expr.slice(1, -1);
+    if (Object.prototype.hasOwnProperty.call(LITERALS, expr)) return LITERALS[expr];
+    if (expr === '$event') return scope.event;
+    
+    const [first, ...rest] = expr.split('.');
+    let value = Object.prototype.hasOwnProperty.call(scope.locals, first)
+        ? scope.locals[first]
+        : scope.host[first];
+    for (const part of rest) {
+        if (value === null || value === undefined) return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+function expressionKey(expr) {
+    return expr.trim().replace(/^!+/, '').split('.')[0];
+}
+
+export function interpolate(source, scope) {
+    return source.replace(EXPRESSION, (_, expr) => {
+        const value = evaluate(expr, scope);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+function expressionKeys(source) {
+    return new Set(Array.from(source.matchAll(EXPRESSION), ([, expr]) => expressionKey(expr)));
+}
+
+function splitArgs(args) {
+    return (args.match(/'[^']*'|"[^"]*"|[^,]+/g) || []).map(arg => arg.trim()).filter(Boolean);
+}
+
+/**
+ * Runs the parts whose dependencies intersect `changedKeys`
+ * (every part when changedKeys is null). Keys are matched on their
+ * first segment, so 'state.count' updates parts reading `state`.
+ * @private
+ */
+function updateParts(parts, changedKeys) {
+    parts.forEach(part => {
+        if (!changedKeys || !part.deps ||
+            changedKeys.some(key => part.deps.has(key.split('.')[0]))) {
+            part.update(changedKeys);
+        }
+    });
+}
+
+/**
+ * Compiles template directives under `root` into updatable parts:
+ * `{{ expr }}` in text and attribute values, `:attr="expr"`,
+ * `.prop="expr"`, `@event="method(args)"`, `a-if="expr"` and
+ * `a-each="item in list"` with an optional `a-key`.
+ * @param {Node} root - The node whose children are compiled.
+ * @param {Element} host - The component instance expressions read from.
+ * @param {Node} [live] - Server-rendered counterpart of `root` to hydrate:
+ *   parts bind to its existing nodes instead of the template's.
+ * @returns {object} { update(changedKeys) }.
+ * @private
+ */
+function compileTemplate(root, host, live = null) {
+    const parts = compileChildren(root, { host, locals: {} }, [], live);
+    return {
+        update: (changedKeys = null) => updateParts(parts, changedKeys)
+    };
+}
+
+/**
+ * Walks the children of a server-rendered node in step with the
+ * template, handing out the live node for each template node.
+ * Throws on a structural mismatch.
+ * @private
+ */
+function createClaimer(live) {
+    let next = live.firstChild;
+    
+    const skipDeclarativeRoots = () => {
+        // Left in place by browsers without Declarative Shadow DOM
+        while (next && next.nodeType === 1 && next.localName === 'template' && next.hasAttribute('shadowrootmode')) {
+            next = next.nextSibling;
+        }
+    };
+    
+    return {
+        take(nodeType, localName) {
+            skipDeclarativeRoots();
+            if (nodeType === 3 && (!next || next.nodeType !== 3)) {
+                // Text that rendered empty on the server has no node
+                const text = document.createTextNode('');
+                live.insertBefore(text, next);
+                return text;
+            }
+            if (!next || next.nodeType !== nodeType || (localName && next.localName !== localName)) {
+                throw new Error(`Hydration mismatch: expected ${localName || `node type ${nodeType}`}, found ${next ? next.nodeName : 'nothing'}`);
+            }
+            const node = next;
+            next = next.nextSibling;
+            return node;
+        }
+    };
+}
+
+function compileChildren(parent, scope, parts = [], live = null) {
+    const claim = live ? createClaimer(live) : null;
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) {
+            compileText(node, scope, parts, claim ? claim.take(3) : node);
+        } else if (node.nodeType === 8) {
+            if (claim) claim.take(8);
+        } else if (node.nodeType === 1) {
+            if (['STYLE', 'SCRIPT'].includes(node.tagName)) {
+                if (claim) claim.take(1, node.localName);
+            } else if (node.hasAttribute('a-each')) {
+                parts.push(compileEach(node, scope, claim));
+            } else if (node.hasAttribute('a-if')) {
+                parts.push(compileIf(node, scope, claim));
+            } else {
+                compileElement(node, scope, parts, claim ? claim.take(1, node.localName) : node);
+            }
+        }
+    });
+    return parts;
+}
+
+function compileText(node, scope, parts, live = node) {
+    const source = node.textContent;
+    if (!source.includes('{{')) return;
+    
+    parts.push({
+        deps: expressionKeys(source),
+        update: () => {
+            const text = interpolate(source, scope);
+            if (live.textContent !== text) live.textContent = text;
+        }
+    });
+}
+
+/**
+ * Compiles an element's directives. When hydrating, `el` is the
+ * template element and `live` the server-rendered one that is updated.
+ * @private
+ */
+function compileElement(el, scope, parts = [], live = el) {
+    Array.from(el.attributes).forEach(({ name, value }) => {
+        if (name.startsWith('@')) {
+            el.removeAttribute(name);
+            compileEvent(live, name.slice(1), value, scope);
+        } else if (name.startsWith(':')) {
+            el.removeAttribute(name);
+            const attr = name.slice(1);
+            let last;
+            parts.push({
+                deps: new Set([expressionKey(value)]),
+                update: () => {
+                    const next = evaluate(value, scope);
+                    if (Object.is(next, last)) return;
+                    last = next;
+                    if (next === false || next === null || next === undefined) {
+                        live.removeAttribute(attr);
+                    } else {
+                        live.setAttribute(attr, next === true ? '' : String(next));
+                    }
+                }
+            });
+        } else if (name.startsWith('.')) {
+            el.removeAttribute(name);
+            const prop = name.slice(1).replace(/-(\w)/g, (_, char) => char.toUpperCase());
+            parts.push({
+                deps: new Set([expressionKey(value)]),
+                update: () => {
+                    const next = evaluate(value, scope);
+                    if (!Object.is(live[prop], next)) live[prop] = next;
+                }
+            });
+        } else if (value.includes('{{')) {
+            parts.push({
+                deps: expressionKeys(value),
+                update: () => {
+                    const next = interpolate(value, scope);
+                    if (live.getAttribute(name) !== next) live.setAttribute(name, next);
+                }
+            });
+        }
+    });
+    
+    return compileChildren(el, scope, parts, live === el ? null : live);
+}
+
+function compileEvent(el, type, handler, scope) {
+    const [, method, args] = handler.match(/^\s*([\w$]+)\s*(?:\((.*)\))?\s*$/) || [];
+    if (!method) {
+        reportWarning('components', `Invalid event handler "${handler}"`);
+        return;
+    }
+    
+    el.addEventListener(type, event => {
+        const fn = scope.host[method];
+        if (typeof fn !== 'function') {
+            reportWarning('components', `Component method ${method} not found`);
+            return;
+        }
+        const report = (error) => reportError(error, {
+            module: 'components',
+            operation: 'event',
+            message: `Error in ${scope.host.localName} ${type} handler ${method}`,
+            component: scope.host.localName
+        });
+        try {
+            const callScope = { host: scope.host, locals: scope.locals, event };
+            const values = args === undefined
+                ? [event]
+                : splitArgs(args).map(arg => evaluate(arg, callScope));
+            const result = fn.apply(scope.host, values);
+            // Async handlers report their rejections too
+            if (result && typeof result.catch === 'function') result.catch(report);
+        } catch (error) {
+            report(error);
+        }
+    });
+}
+
+function compileIf(el, scope, claim = null) {
+    const condition = el.getAttribute('a-if');
+    el.removeAttribute('a-if');
+    
+    let anchor;
+    let instance = null;
+    if (claim) {
+        // Adopt the server-rendered element when the condition holds
+        anchor = claim.take(8);
+        if (evaluate(condition, scope)) {
+            const live = claim.take(1, el.localName);
+            instance = { el: live, parts: compileElement(el.cloneNode(true), scope, [], live) };
+        }
+    } else {
+        anchor = document.createComment('a-if');
+        el.replaceWith(anchor);
+    }
+    
+    return {
+        deps: null, // Nested parts may read any key
+        update: (changedKeys) => {
+            if (evaluate(condition, scope)) {
+                if (instance) {
+                    updateParts(instance.parts, changedKeys);
+                    return;
+                }
+                const clone = el.cloneNode(true);
+                instance = { el: clone, parts: compileElement(clone, scope) };
+                updateParts(instance.parts, null);
+                anchor.after(clone);
+            } else if (instance) {
+                instance.el.remove();
+                instance = null;
+            }
+        }
+    };
+}
+
+function compileEach(el, scope, claim = null) {
+    const match = el.getAttribute('a-each')
+        .match(/^\s*(?:\(\s*(\w+)\s*(?:,\s*(\w+))?\s*\)|(\w+))\s+in\s+(.+)$/);
+    if (!match) {
+        throw new Error(`Aether.js: Invalid a-each expression "${el.getAttribute('a-each')}"`);
+    }
+    const itemName = match[1] || match[3];
+    const indexName = match[2];
+    const listExpr = match[4];
+    const keyExpr = el.getAttribute('a-key');
+    const filterExpr = el.getAttribute('a-if'); // Filters items rather than toggling the list
+    
+    ['a-each', 'a-key', 'a-if'].forEach(attr => el.removeAttribute(attr));
+    
+    // Visits the items that pass the filter with their scope and unique key
+    const forEachItem = (callback) => {
+        const seen = new Set();
+        Array.from(evaluate(listExpr, scope) || []).forEach((item, index) => {
+            const locals = { ...scope.locals, [itemName]: item };
+            if (indexName) locals[indexName] = index;
+            const itemScope = { host: scope.host, locals };
+            if (filterExpr && !evaluate(filterExpr, itemScope)) return;
+            
+            let key = keyExpr ? evaluate(keyExpr, itemScope) : index;
+            if (seen.has(key)) {
+                reportWarning('components', `Duplicate a-key "${key}" in a-each`);
+                key = `${key}:${index}`;
+            }
+            seen.add(key);
+            callback(key, locals, itemScope);
+        });
+    };
+    
+    let anchor;
+    let instances = new Map();
+    if (claim) {
+        // Adopt the server-rendered items in order
+        anchor = claim.take(8);
+        forEachItem((key, locals, itemScope) => {
+            const live = claim.take(1, el.localName);
+            const instance = { el: live, scope: itemScope };
+            instance.parts = compileElement(el.cloneNode(true), instance.scope, [], live);
+            instances.set(key, instance);
+        });
+    } else {
+        anchor = document.createComment('a-each');
+        el.replaceWith(anchor);
+    }
+    
+    return {
+        deps: null,
+        update: () => {
+            const next = new Map();
+            let ref = anchor;
+            
+            forEachItem((key, locals, itemScope) => {
+                // Reuse the node for a known key, updating its scope in place
+                let instance = instances.get(key);
+                if (instance) {
+                    instance.scope.locals = locals;
+                    updateParts(instance.parts, null);
+                } else {
+                    const clone = el.cloneNode(true);
+                    instance = { el: clone, scope: itemScope };
+                    instance.parts = compileElement(clone, instance.scope);
+                    updateParts(instance.parts, null);
+                }
+                next.set(key, instance);
+                
+                if (ref.nextSibling !== instance.el) {
+                    anchor.parentNode.insertBefore(instance.el, ref.nextSibling);
+                }
+                ref = instance.el;
+            });
+            
+            instances.forEach((instance, key) => {
+                if (!next.has(key)) instance.el.remove();
+            });
+            instances = next;
+        }
+    };
+}
+
+/**
+ * Creates a reactive object using the same nested Proxy approach as
+ * createStore, reporting each changed dot path to `onChange`.
+ * @param {object} initial - The initial values.
+ * @param {Function} onChange - Called with the changed path.
+ * @returns {Proxy} The reactive object.
+ * @private
+ */
+function createReactive(initial, onChange) {
+    const proxyCache = new WeakMap();
+    
+    const wrap = (target, path) => {
+        if (!proxyCache.has(target)) {
+            proxyCache.set(target, new Map());
+        }
+        const proxies = proxyCache.get(target);
+        if (proxies.has(path)) return proxies.get(path);
+        
+        const fullPath = (property) => (path ? path + '.' : '') + String(property);
+        const proxy = new Proxy(target, {
+            get(obj, property) {
+                const value = obj[property];
+                return isPlainObject(value) ? wrap(value, fullPath(property)) : value;
+            },
+            set(obj, property, value) {
+                if (obj[property] === value) return true; // Skip if no change
+                obj[property] = value;
+                onChange(fullPath(property));
+                return true;
+            },
+            deleteProperty(obj, property) {
+                if (!Object.prototype.hasOwnProperty.call(obj, property)) return true;
+                delete obj[property];
+                onChange(fullPath(property));
+                return true;
+            }
+        });
+        proxies.set(path, proxy);
+        return proxy;
+    };
+    
+    return wrap({ ...initial }, '');
+}
+
+export function coerceType(value, type) {
+    if (value === null || value === undefined) return value;
+    
+    switch (type) {
+        case Boolean:
+            return value !== null && value !== 'false';
+        case Number:
+            return isNaN(value) ? 0 : Number(value);
+        case Array:
+            try { return JSON.parse(value); } catch { return []; }
+        case Object:
+            try { return JSON.parse(value); } catch { return {}; }
+        default:
+            return String(value);
+    }
+}
+
+// Shadow root content; shared with renderToString() so hydration lines up
+export function shadowMarkup(styles, template) {
+    return `
+                    <style>
+                        :host { display: block; }
+                        ${styles}
+                    </style>
+                    ${template}
+                `;
+}
+
+function toKebabCase(str) {
+    return str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Normalizes a prop declaration. Primitive props (String, Number,
+ * Boolean) reflect to a kebab-case attribute by default; everything
+ * else is stored as a property only.
+ * @private
+ */
+function normalizeProp(key, config) {
+    const propConfig = typeof config === 'object' && config !== null ? config : { type: config };
+    const isPrimitive = !propConfig.type || [String, Number, Boolean].includes(propConfig.type);
+    const attribute = propConfig.attribute === false
+        ? null
+        : (propConfig.attribute || toKebabCase(key));
+    
+    return {
+        ...propConfig,
+        key,
+        attribute,
+        reflect: !!attribute && (propConfig.reflect ?? isPrimitive)
+    };
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case undefined: return true;
+        case String: return typeof value === 'string';
+        case Number: return typeof value === 'number' && !isNaN(value);
+        case Boolean: return typeof value === 'boolean';
+        case Array: return Array.isArray(value);
+        case Object: return typeof value === 'object' && !Array.isArray(value);
+        case Function: return typeof value === 'function';
+        default: return value instanceof type;
+    }
+}
+
+export const componentDefinitions = new Map(); // name -> definition, also used for server rendering
+
+const CONTEXT_REQUEST = 'aether-context-request';
+const contextProviders = new WeakMap(); // target -> Map(key -> { value, callbacks })
+const contextRequests = new Set(); // Live requests, re-routed when a closer provider appears
+
+function isComposedAncestor(ancestor, node) {
+    while (node) {
+        if (node === ancestor) return true;
+        node = node.parentNode || node.host;
+    }
+    return false;
+}
+
+/**
+ * Provides a context value to descendants of `target`, including those
+ * inside shadow roots. Consumers receive updates when the value changes.
+ * @param {EventTarget} target - The providing element (or document).
+ * @param {string} key - The context key.
+ * @param {*} value - The value to provide.
+ * @returns {object} { set(value), remove() }.
+ */
+export function provide(target, key, value) {
+    let entries = contextProviders.get(target);
+    if (!entries) {
+        entries = new Map();
+        contextProviders.set(target, entries);
+        target.addEventListener(CONTEXT_REQUEST, (event) => {
+            const entry = entries.get(event.detail.key);
+            // Elements never answer their own requests
+            if (!entry || event.composedPath()[0] === target) return;
+            
+            event.stopPropagation();
+            const { callback } = event.detail;
+            entry.callbacks.add(callback);
+            callback(entry.value, () => entry.callbacks.delete(callback));
+        });
+    }
+    
+    const existing = entries.get(key);
+    if (existing) {
+        existing.value = value;
+        existing.callbacks.forEach(callback => callback(value));
+    } else {
+        entries.set(key, { value, callbacks: new Set() });
+        retryContextRequests(target, key);
+    }
+    
+    return {
+        set: (next) => provide(target, key, next),
+        remove: () => entries.delete(key)
+    };
+}
+
+/**
+ * Re-dispatches requests below `target` so a newly available provider
+ * can answer them if it is the closest one.
+ * @private
+ */
+function retryContextRequests(target, key) {
+    contextRequests.forEach(request => {
+        if (request.key === key && request.element !== target &&
+            isComposedAncestor(target, request.element)) {
+            request.dispatch();
+        }
+    });
+}
+
+/**
+ * Requests a context value from the nearest provider above `element`.
+ * The callback runs now if a provider answers, later otherwise, and
+ * again whenever the provided value changes.
+ * @param {Element} element - The consuming element.
+ * @param {string} key - The context key.
+ * @param {Function} callback - Called with the value.
+ * @returns {Function} Unsubscribe function.
+ */
+export function requestContext(element, key, callback) {
+    let unsubscribe = null;
+    const request = {
+        element,
+        key,
+        dispatch: () => {
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
+            }
+            element.dispatchEvent(new CustomEvent(CONTEXT_REQUEST, {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    key,
+                    callback: (value, dispose) => {
+                        if (dispose) unsubscribe = dispose;
+                        callback(value);
+                    }
+                }
+            }));
+        }
+    };
+    contextRequests.add(request);
+    request.dispatch();
+    
+    return () => {
+        contextRequests.delete(request);
+        if (unsubscribe) unsubscribe();
+    };
+}
+
+/**
+ * Extends a component class into a form-associated custom element
+ * backed by ElementInternals. The form value and validity are synced
+ * from `formValue` and `validate` after every render.
+ * @private
+ */
+function withFormAssociation(Base, name, hooks) {
+    const readValue = (host) => hooks.formValue ? evaluate(hooks.formValue, { host, locals: {} }) : undefined;
+    const toFormValue = (value) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'string' || value instanceof FormData ||
+            (typeof File !== 'undefined' && value instanceof File)) {
+            return value;
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+    const runHook = (host, hookName, ...args) => {
+        if (!hooks[hookName]) return false;
+        try {
+            hooks[hookName].apply(host, args);
+        } catch (error) {
+            reportError(error, {
+                module: 'components',
+                operation: hookName,
+                message: `Error in ${name} ${hookName}`,
+                component: name
+            });
+        }
+        return true;
+    };
+    
+    return class extends Base {
+        static get formAssociated() {
+            return true;
+        }
+        
+        constructor() {
+            super();
+            this.formDisabled = false;
+            this.internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+            // Some engines ship ElementInternals without the form APIs
+            if (!this.internals || typeof this.internals.setFormValue !== 'function') {
+                this.internals = null;
+                reportWarning('components', `Form-associated custom elements not supported, ${name} will not participate in forms`);
+            }
+        }
+        
+        get form() { return this.internals?.form ?? null; }
+        get validity() { return this.internals?.validity ?? null; }
+        get validationMessage() { return this.internals?.validationMessage ?? ''; }
+        get willValidate() { return this.internals?.willValidate ?? false; }
+        get labels() { return this.internals?.labels ?? []; }
+        
+        /**
+         * Sets the value submitted with the form.
+         * @param {*} value - A string, File or FormData; other values are stringified.
+         * @param {*} [state] - Optional state passed back to formStateRestore.
+         */
+        setFormValue(value, state) {
+            this.internals?.setFormValue(toFormValue(value), state);
+        }
+        
+        /**
+         * Sets validity flags and a validation message. Pass a string
+         * to set a custom error, or an empty string to clear it.
+         * @param {object|string} flags - ValidityStateFlags or a message.
+         * @param {string} [message] - The validation message.
+         * @param {Element} [anchor] - Element the browser anchors the message to.
+         */
+        setValidity(flags, message, anchor) {
+            if (!this.internals) return;
+            if (typeof flags === 'string') {
+                message = flags;
+                flags = message ? { customError: true } : {};
+            }
+            this.internals.setValidity(flags, message, anchor);
+        }
+        
+        checkValidity() { return this.internals ? this.internals.checkValidity() : true; }
+        reportValidity() { return this.internals ? this.internals.reportValidity() : true; }
+        
+        connectedCallback() {
+            if (!this._hasInitialFormValue) {
+                this._hasInitialFormValue = true;
+                this._initialFormValue = deepClone(readValue(this));
+            }
+            super.connectedCallback();
+            this._syncFormState();
+        }
+        
+        _performUpdate() {
+            const result = super._performUpdate();
+            this._syncFormState();
+            return result;
+        }
+        
+        _syncFormState() {
+            if (!this.internals) return;
+            
+            if (hooks.formValue) {
+                this.setFormValue(readValue(this));
+            }
+            if (hooks.validate) {
+                try {
+                    const result = hooks.validate.call(this, readValue(this));
+                    if (result && typeof result === 'object') {
+                        this.setValidity(result.flags || { customError: true }, result.message, result.anchor);
+                    } else {
+                        this.setValidity(result || '');
+                    }
+                } catch (error) {
+                    reportError(error, {
+                        module: 'components',
+                        operation: 'validate',
+                        message: `Error in ${name} validate`,
+                        component: name
+                    });
+                }
+            }
+        }
+        
+        formAssociatedCallback(form) {
+            runHook(this, 'formChanged', form);
+        }
+        
+        formResetCallback() {
+            // Without a hook, restore the value the control connected with
+            if (!runHook(this, 'formReset') && hooks.formValue) {
+                setPath(this, hooks.formValue, deepClone(this._initialFormValue));
+            }
+        }
+        
+        formDisabledCallback(disabled) {
+            this.formDisabled = disabled;
+            if (disabled) {
+                this.setAttribute('aria-disabled', 'true');
+            } else {
+                this.removeAttribute('aria-disabled');
+            }
+            runHook(this, 'formDisabled', disabled);
+            this.requestUpdate('formDisabled');
+        }
+        
+        formStateRestoreCallback(state, mode) {
+            if (!runHook(this, 'formStateRestore', state, mode) && hooks.formValue) {
+                setPath(this, hooks.formValue, state);
+            }
+        }
+    };
+}
+
+/**
+ * Simplifies the creation of a Web Component with enhanced features.
+ * Templates may use directives (see compileTemplate). Prop and `state`
+ * changes are batched into one render per microtask, surrounded by the
+ * `beforeUpdate` and `updated` hooks. Props accept { type, default,
+ * required, validator, reflect, attribute, fromAttribute, toAttribute };
+ * `strict` ('throw' or 'event') controls how invalid values are reported.
+ * `emits`, `slotChanged`, `provide` and `inject` wire up parent/child
+ * communication, and `formAssociated` makes it a native form control.
+ * @param {string} name - The tag name of the component (e.g., 'user-card').
+ * @param {object} config - Configuration object.
+ */
+export function define(name, { 
+    props = {}, 
+    methods = {},
+    connected, 
+    disconnected,
+    attributeChanged,
+    beforeUpdate,
+    updated,
+    state,
+    template = '', 
+    styles = '',
+    shadowMode = 'open',
+    strict = false,
+    emits,
+    slotChanged,
+    provide: provided,
+    inject = {},
+    formAssociated = false,
+    formValue,
+    validate,
+    formChanged,
+    formReset,
+    formDisabled,
+    formStateRestore
+}) {
+    if (componentDefinitions.has(name) || (typeof customElements !== 'undefined' && customElements.get(name))) {
+        reportWarning('components', `Component ${name} is already defined`);
+        return;
+    }
+
+    const propList = Object.entries(props).map(([key, config]) => normalizeProp(key, config));
+    const attributeProps = new Map(
+        propList.filter(prop => prop.attribute).map(prop => [prop.attribute, prop])
+    );
+    const emitValidators = Array.isArray(emits)
+        ? Object.fromEntries(emits.map(eventName => [eventName, null]))
+        : emits;
+    // inject: ['key'] or { localName: 'key' | { from, default } }
+    const injections = (Array.isArray(inject) ? inject.map(key => [key, key]) : Object.entries(inject))
+        .map(([local, source]) => typeof source === 'object' && source !== null
+            ? { local, key: source.from || local, default: source.default }
+            : { local, key: source });
+
+    const definition = {
+        template, styles, shadowMode, propList, state, methods, provided, injections,
+        instances: new Set() // Connected elements, for aether.devtools
+    };
+    componentDefinitions.set(name, definition);
+    if (typeof customElements === 'undefined') return; // Server: rendered by renderToString()
+
+    const Component = class extends HTMLElement {
+        static get observedAttributes() {
+            return Array.from(attributeProps.keys());
+        }
+
+        constructor() {
+            super();
+            this._pendingKeys = new Set();
+            this._updatePromise = null;
+            this._hydration = null;
+            
+            // Server-rendered markup is adopted on first connect instead of replaced
+            const markup = shadowMode ? shadowMarkup(styles, template) : template;
+            const isServerRendered = this.hasAttribute('data-aether-ssr');
+            if (shadowMode) {
+                let existing = isServerRendered ? this.shadowRoot : null;
+                if (isServerRendered && !existing) {
+                    const declarative = Array.from(this.children).find(child =>
+                        child.localName === 'template' && child.hasAttribute('shadowrootmode'));
+                    if (declarative) {
+                        existing = this.attachShadow({ mode: shadowMode });
+                        existing.appendChild(declarative.content);
+                        declarative.remove();
+                    }
+                }
+                if (existing) {
+                    this._hydration = { live: existing, markup };
+                } else {
+                    this.attachShadow({ mode: shadowMode });
+                    this.shadowRoot.innerHTML = markup;
+                }
+                this.root = this.shadowRoot;
+            } else {
+                if (isServerRendered) {
+                    this._hydration = { live: this, markup };
+                } else {
+                    this.innerHTML = template;
+                }
+                this.root = this;
+            }
+            
+            // Add methods to component
+            Object.assign(this, methods);
+            
+            // Define properties with validation and type coercion
+            this._props = new Map();
+            this._reflecting = null;
+            propList.forEach(prop => {
+                // Keep values assigned before the element was upgraded
+                const hasEarlyValue = Object.prototype.hasOwnProperty.call(this, prop.key);
+                const earlyValue = hasEarlyValue ? this[prop.key] : undefined;
+                if (hasEarlyValue) delete this[prop.key];
+                
+                Object.defineProperty(this, prop.key, {
+                    configurable: true,
+                    get: () => this._getProp(prop),
+                    set: (value) => this._setProp(prop, value)
+                });
+                
+                if (hasEarlyValue) this._setProp(prop, earlyValue);
+            });
+            
+            // Non-attribute props passed to renderToString()
+            if (isServerRendered && this.hasAttribute('data-aether-props')) {
+                try {
+                    const serverProps = JSON.parse(this.getAttribute('data-aether-props'));
+                    propList.forEach(prop => {
+                        if (prop.key in serverProps) this._setProp(prop, serverProps[prop.key]);
+                    });
+                } catch (error) {
+                    reportError(error, {
+                        module: 'components',
+                        operation: 'hydrate',
+                        message: `Invalid data-aether-props on ${name}`,
+                        component: name
+                    });
+                }
+            }
+            
+            // Per-instance reactive state
+            const initialState = typeof state === 'function' ? state.call(this) : deepClone(state);
+            const reactiveState = createReactive(initialState || {}, (path) => {
+                this.requestUpdate(`state.${path}`);
+            });
+            Object.defineProperty(this, 'state', { get: () => reactiveState });
+            
+            this._template = this._hydration ? null : compileTemplate(this.root, this);
+            
+            if (shadowMode && slotChanged) {
+                this.shadowRoot.addEventListener('slotchange', (event) => {
+                    const slot = event.target;
+                    try {
+                        slotChanged.call(this, slot.name || 'default', slot.assignedNodes({ flatten: true }), slot);
+                    } catch (error) {
+                        reportError(error, {
+                            module: 'components',
+                            operation: 'slotChanged',
+                            message: `Error in ${name} slotChanged`,
+                            component: name
+                        });
+                    }
+                });
+            }
+            
+            // Context consumers see injected values as read-only properties
+            this._injected = new Map();
+            this._contextCleanups = [];
+            injections.forEach(({ local, default: fallback }) => {
+                Object.defineProperty(this, local, {
+                    configurable: true,
+                    get: () => this._injected.has(local) ? this._injected.get(local) : fallback
+                });
+            });
+            
+            if (provided) {
+                const values = typeof provided === 'function' ? provided.call(this) : provided;
+                Object.entries(values || {}).forEach(([key, value]) => this.provide(key, value));
+            }
+        }
+
+        /**
+         * Dispatches a bubbling, composed CustomEvent. Declared `emits`
+         * validators must accept the detail or the event is not sent.
+         * @param {string} eventName - The event name.
+         * @param {*} [detail] - The event payload.
+         * @param {object} [options] - CustomEvent init overrides.
+         * @returns {boolean} False if the event was cancelled or invalid.
+         */
+        emit(eventName, detail, options = {}) {
+            if (emitValidators) {
+                if (!Object.prototype.hasOwnProperty.call(emitValidators, eventName)) {
+                    reportWarning('components', `Component ${name} emitted undeclared event ${eventName}`);
+                } else {
+                    const validator = emitValidators[eventName];
+                    if (typeof validator === 'function' && !validator(detail)) {
+                        reportWarning('components', `Invalid detail for ${name} event ${eventName}:`, detail);
+                        return false;
+                    }
+                }
+            }
+            return this.dispatchEvent(new CustomEvent(eventName, {
+                detail,
+                bubbles: true,
+                composed: true,
+                cancelable: true,
+                ...options
+            }));
+        }
+
+        /**
+         * Provides (or updates) a context value for descendants.
+         * @param {string} key - The context key.
+         * @param {*} value - The value to provide.
+         */
+        provide(key, value) {
+            provide(this, key, value);
+        }
+
+        /**
+         * Returns the nodes assigned to a slot.
+         * @param {string} [slotName] - Slot name; omit for the default slot.
+         * @returns {Node[]} The assigned nodes.
+         */
+        slotted(slotName) {
+            if (!this.shadowRoot) return [];
+            const selector = slotName ? `slot[name="${slotName}"]` : 'slot:not([name])';
+            const slot = this.shadowRoot.querySelector(selector);
+            return slot ? slot.assignedNodes({ flatten: true }) : [];
+        }
+
+        /**
+         * Resolves once pending prop/state changes have been rendered.
+         * @returns {Promise<void>}
+         */
+        get updateComplete() {
+            return this._updatePromise || Promise.resolve();
+        }
+
+        /**
+         * Schedules a batched re-render on the next microtask. Disconnected
+         * elements skip it; they render in full when connected again.
+         * @param {string} [key] - The prop or state path that changed.
+         * @returns {Promise<void>} The updateComplete promise.
+         */
+        requestUpdate(key) {
+            if (key) this._pendingKeys.add(key);
+            if (!this.isConnected) return this.updateComplete;
+            if (!this._updatePromise) {
+                this._updatePromise = Promise.resolve().then(() => this._performUpdate());
+            }
+            return this._updatePromise;
+        }
+
+        _performUpdate() {
+            // Disconnected since the update was scheduled
+            if (!this.isConnected) {
+                this._updatePromise = null;
+                return;
+            }
+            const changedKeys = Array.from(this._pendingKeys);
+            this._pendingKeys.clear();
+            
+            const runHook = (hook, hookName) => {
+                if (!hook) return;
+                try {
+                    hook.call(this, changedKeys);
+                } catch (error) {
+                    reportError(error, {
+                        module: 'components',
+                        operation: hookName,
+                        message: `Error in ${name} ${hookName}`,
+                        component: name
+                    });
+                }
+            };
+            
+            runHook(beforeUpdate, 'beforeUpdate');
+            this._renderTemplate(changedKeys.length ? changedKeys : null);
+            this._updatePromise = null;
+            runHook(updated, 'updated');
+            
+            // Changes made inside the hooks get their own pass; this pass
+            // settles with it so updateComplete waits for both
+            return this._updatePromise || undefined;
+        }
+
+        /**
+         * Re-renders template directives. Call after changing values
+         * that are not props.
+         * @param {string[]} [changedKeys] - Limit the update to these keys.
+         */
+        render(changedKeys) {
+            this._renderTemplate(changedKeys);
+        }
+
+        /**
+         * Binds the template to server-rendered markup. Runs on first
+         * connect so attribute props and injected context are in place,
+         * matching what the server rendered. Re-renders on a mismatch.
+         * @private
+         */
+        _hydrate() {
+            const { live, markup } = this._hydration;
+            this._hydration = null;
+            const templateElement = document.createElement('template');
+            templateElement.innerHTML = markup;
+            try {
+                this._template = compileTemplate(templateElement.content, this, live);
+            } catch (error) {
+                reportWarning('components', `Could not hydrate ${name}, rendering on the client instead.`, error);
+                live.innerHTML = markup;
+                this._template = compileTemplate(live, this);
+            }
+            this.removeAttribute('data-aether-ssr');
+            this.removeAttribute('data-aether-props');
+        }
+
+        _renderTemplate(changedKeys = null) {
+            if (!this._template) return; // Not hydrated yet
+            try {
+                this._template.update(changedKeys);
+            } catch (error) {
+                reportError(error, {
+                    module: 'components',
+                    operation: 'render',
+                    message: `Error rendering ${name}`,
+                    component: name
+                });
+            }
+        }
+
+        _getProp(prop) {
+            if (this._props.has(prop.key)) return this._props.get(prop.key);
+            
+            if (prop.default !== undefined) {
+                // Function defaults build a fresh value per instance
+                const value = typeof prop.default === 'function' && prop.type !== Function
+                    ? prop.default.call(this)
+                    : prop.default;
+                this._props.set(prop.key, value);
+                return value;
+            }
+            return prop.type === Boolean ? false : undefined;
+        }
+
+        _setProp(prop, value) {
+            if (!this._validateProp(prop, value)) return;
+            
+            if (prop.reflect) {
+                const attrValue = this._toAttribute(prop, value);
+                this._reflecting = prop.attribute;
+                try {
+                    if (attrValue === null) {
+                        this.removeAttribute(prop.attribute);
+                    } else {
+                        this.setAttribute(prop.attribute, attrValue);
+                    }
+                } finally {
+                    this._reflecting = null;
+                }
+                // Reflected props hold what their attribute round-trips to
+                value = attrValue === null ? undefined : this._fromAttribute(prop, attrValue);
+            }
+            
+            this._storeProp(prop, value);
+        }
+
+        _storeProp(prop, value) {
+            if (this._props.has(prop.key) && Object.is(this._props.get(prop.key), value)) return;
+            
+            if (value === undefined) {
+                this._props.delete(prop.key);
+            } else {
+                this._props.set(prop.key, value);
+            }
+            if (this.isConnected) {
+                this.requestUpdate(prop.key);
+            }
+        }
+
+        _validateProp(prop, value) {
+            if (value === null || value === undefined) return true;
+            
+            if (strict && !matchesType(value, prop.type)) {
+                this._reportInvalidProp(prop.key, value, `expected ${prop.type.name}`);
+                return false;
+            }
+            if (prop.validator && !prop.validator(value)) {
+                this._reportInvalidProp(prop.key, value, 'validator failed');
+                return false;
+            }
+            return true;
+        }
+
+        _reportInvalidProp(key, value, reason) {
+            if (strict === 'event') {
+                this.dispatchEvent(new CustomEvent('invalid-prop', {
+                    detail: { prop: key, value, reason },
+                    bubbles: true,
+                    composed: true
+                }));
+            } else if (strict) {
+                throw new TypeError(`${name}: Invalid value for prop ${key} (${reason})`);
+            } else {
+                reportWarning('components', `Invalid value for ${name} prop ${key}:`, value);
+            }
+        }
+
+        _fromAttribute(prop, value) {
+            return prop.fromAttribute
+                ? prop.fromAttribute(value, prop.type)
+                : this._coerceType(value, prop.type);
+        }
+
+        _toAttribute(prop, value) {
+            if (prop.toAttribute) return prop.toAttribute(value, prop.type);
+            if (value === null || value === undefined) return null;
+            if (prop.type === Boolean) return value ? '' : null;
+            if (typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        }
+
+        _coerceType(value, type) {
+            return coerceType(value, type);
+        }
+
+        connectedCallback() {
+            injections.forEach(({ local, key }) => {
+                this._contextCleanups.push(requestContext(this, key, (value) => {
+                    this._injected.set(local, value);
+                    this.requestUpdate(local);
+                }));
+            });
+            // Take over descendants that connected before this provider
+            contextProviders.get(this)?.forEach((entry, key) => retryContextRequests(this, key));
+            if (this._hydration) this._hydrate();
+            definition.instances.add(this);
+
+            propList.forEach(prop => {
+                const value = this[prop.key];
+                if (prop.required && (value === undefined || value === null)) {
+                    this._reportInvalidProp(prop.key, value, 'required');
+                }
+            });
+            // Changes made while disconnected are covered by the full render
+            this._pendingKeys.clear();
+            this._renderTemplate();
+            if (connected) {
+                try {
+                    connected.call(this);
+                } catch (error) {
+                    reportError(error, {
+                        module: 'components',
+                        operation: 'connectedCallback',
+                        message: `Error in ${name} connectedCallback`,
+                        component: name
+                    });
+                }
+            }
+        }
+
+        disconnectedCallback() {
+            definition.instances.delete(this);
+            this._contextCleanups.forEach(cleanup => cleanup());
+            this._contextCleanups = [];
+            if (disconnected) {
+                try {
+                    disconnected.call(this);
+                } catch (error) {
+                    reportError(error, {
+                        module: 'components',
+                        operation: 'disconnectedCallback',
+                        message: `Error in ${name} disconnectedCallback`,
+                        component: name
+                    });
+                }
+            }
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            const prop = attributeProps.get(name);
+            if (prop && oldValue !== newValue && this._reflecting !== name) {
+                const value = newValue === null ? undefined : this._fromAttribute(prop, newValue);
+                if (this._validateProp(prop, value)) {
+                    this._storeProp(prop, value);
+                }
+            }
+            if (attributeChanged && oldValue !== newValue) {
+                try {
+                    attributeChanged.call(this, name, oldValue, newValue);
+                } catch (error) {
+                    reportError(error, {
+                        module: 'components',
+                        operation: 'attributeChangedCallback',
+                        message: `Error in ${this.localName} attributeChangedCallback`,
+                        component: this.localName,
+                        key: name
+                    });
+                }
+            }
+        }
+    };
+
+    customElements.define(name, formAssociated
+        ? withFormAssociation(Component, name, {
+            formValue,
+            validate,
+            formChanged,
+            formReset,
+            formDisabled,
+            formStateRestore
+        })
+        : Component);
+}
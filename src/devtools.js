@@ -0,0 +1,387 @@
+// --- Module: Developer Tools ---
+
+import { stores } from './state.js';
+import { componentDefinitions } from './components.js';
+import { routers } from './router.js';
+import { onDebugEvent, getMemoryUsage } from './performance.js';
+import { reportError } from './logging.js';
+
+const DEVTOOLS_TABS = ['Stores', 'Bindings', 'Routes', 'Components', 'Timings'];
+const storeLabels = new WeakMap(); // Unnamed store -> stable label
+let unnamedStores = 0;
+let session = null; // { options, logs, listeners, stopListening, overlay } while enabled
+
+function storeLabel(store) {
+    if (store.name) return store.name;
+    if (!storeLabels.has(store)) storeLabels.set(store, `store #${++unnamedStores}`);
+    return storeLabels.get(store);
+}
+
+function describeElement(element) {
+    if (!element || !element.localName) return String(element);
+    const id = element.id ? `#${element.id}` : '';
+    const classes = element.classList && element.classList.length
+        ? `.${Array.from(element.classList).join('.')}`
+        : '';
+    return `${element.localName}${id}${classes}`;
+}
+
+// A JSON-safe copy, so snapshots can be posted to an extension
+function toPlain(value) {
+    try {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    } catch {
+        return '[unserializable]';
+    }
+}
+
+function pushLog(list, entry) {
+    list.push(entry);
+    if (list.length > session.options.logLimit) list.shift();
+}
+
+/**
+ * Turns a debug event into a serializable log entry.
+ * @private
+ */
+function recordDebugEvent(type, detail) {
+    const { logs } = session;
+    let entry;
+    if (type === 'store:flush') {
+        entry = { store: storeLabel(detail.store), changedKeys: detail.changedKeys, caller: detail.caller, at: detail.at };
+        pushLog(logs.flushes, entry);
+    } else if (type === 'router:navigation') {
+        entry = { ...detail };
+        delete entry.router; // Live object, not serializable
+        pushLog(logs.navigations, entry);
+    } else if (type === 'measure') {
+        entry = { ...detail };
+        pushLog(logs.timings, entry);
+    } else {
+        return;
+    }
+    session.listeners.forEach(listener => {
+        try {
+            listener(type, entry);
+        } catch (error) {
+            reportError(error, {
+                module: 'devtools',
+                operation: 'subscriber',
+                message: 'Error in devtools subscriber'
+            });
+        }
+    });
+    if (session.overlay) session.overlay.scheduleRender();
+}
+
+/**
+ * Collects the current state of the library as plain data.
+ * @private
+ */
+function collectSnapshot() {
+    const byElement = new Map();
+    const storeInfo = Array.from(stores, store => {
+        const { subscribers, computed, bindings } = store._inspect();
+        bindings.forEach(({ key, element, prop }) => {
+            if (!byElement.has(element)) byElement.set(element, []);
+            byElement.get(element).push({ store: storeLabel(store), key, prop });
+        });
+        return {
+            name: storeLabel(store),
+            state: toPlain(store.getState()),
+            subscribers,
+            computed,
+            bindings: bindings.length
+        };
+    });
+
+    return {
+        stores: storeInfo,
+        bindings: Array.from(byElement, ([element, list]) => ({
+            element: describeElement(element),
+            connected: Boolean(element && element.isConnected),
+            bindings: list
+        })),
+        routers: Array.from(routers, router => router._inspect()),
+        components: Array.from(componentDefinitions, ([name, definition]) => ({
+            name,
+            props: definition.propList.map(prop => prop.key),
+            instances: Array.from(definition.instances, element => ({
+                element: describeElement(element),
+                props: toPlain(Object.fromEntries(definition.propList.map(prop => [prop.key, element[prop.key]])))
+            }))
+        })),
+        flushes: session ? session.logs.flushes.slice() : [],
+        navigations: session ? session.logs.navigations.slice() : [],
+        timings: session ? session.logs.timings.slice() : [],
+        memory: getMemoryUsage()
+    };
+}
+
+function createNode(tag, props = {}, ...children) {
+    const node = document.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+        if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+        else node.setAttribute(key, value);
+    });
+    children.flat().forEach(child => {
+        if (child !== null && child !== undefined && child !== false) {
+            node.append(typeof child === 'string' || typeof child === 'number' ? String(child) : child);
+        }
+    });
+    return node;
+}
+
+function formatTime(at) {
+    const date = new Date(at);
+    return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+const OVERLAY_STYLES = `
+    :host { all: initial; position: fixed; right: 12px; bottom: 12px; z-index: 2147483647;
+        font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; color: #e5e7eb; }
+    button { font: inherit; color: inherit; background: #374151; border: 0; border-radius: 4px; padding: 4px 8px; cursor: pointer; }
+    button[aria-selected="true"] { background: #6366f1; }
+    .toggle { display: block; margin-left: auto; background: #111827; box-shadow: 0 2px 8px rgba(0,0,0,.4); }
+    .panel { width: min(560px, calc(100vw - 24px)); height: min(420px, calc(100vh - 72px)); margin-bottom: 8px;
+        display: flex; flex-direction: column; background: #111827; border-radius: 8px; box-shadow: 0 4px 24px rgba(0,0,0,.5); }
+    .panel[hidden] { display: none; }
+    .tabs { display: flex; gap: 4px; padding: 8px; border-bottom: 1px solid #374151; }
+    .content { flex: 1; overflow: auto; padding: 8px; }
+    h3 { margin: 8px 0 4px; font-size: 12px; color: #a5b4fc; }
+    pre { margin: 0; padding: 6px; background: #1f2937; border-radius: 4px; white-space: pre-wrap; word-break: break-all; max-height: 160px; overflow: auto; }
+    ul { margin: 0; padding-left: 16px; }
+    li { margin: 2px 0; }
+    .muted { color: #9ca3af; }
+    .bad { color: #fca5a5; }
+`;
+
+/**
+ * Builds the in-page overlay: a toggle button and a tabbed panel that
+ * re-renders while open.
+ * @private
+ */
+function createOverlay(initiallyOpen) {
+    const host = createNode('div', { 'data-aether-devtools': '' });
+    const root = host.attachShadow({ mode: 'open' });
+    let activeTab = DEVTOOLS_TABS[0];
+    let renderTimer = null;
+    let refreshInterval = null;
+
+    const content = createNode('div', { class: 'content' });
+    const tabButtons = DEVTOOLS_TABS.map(tab => createNode('button', {
+        role: 'tab',
+        onclick: () => {
+            activeTab = tab;
+            render();
+        }
+    }, tab));
+    const panel = createNode('div', { class: 'panel', role: 'dialog', 'aria-label': 'Aether devtools' },
+        createNode('div', { class: 'tabs', role: 'tablist' }, tabButtons),
+        content
+    );
+    const toggleButton = createNode('button', {
+        class: 'toggle',
+        'aria-expanded': 'false',
+        title: 'Aether devtools',
+        onclick: () => overlay.toggle()
+    }, 'Æ devtools');
+    root.append(createNode('style', {}, OVERLAY_STYLES), panel, toggleButton);
+    panel.hidden = true;
+
+    const sections = {
+        Stores: (data) => [
+            ...data.stores.map(store => [
+                createNode('h3', {}, store.name),
+                createNode('div', { class: 'muted' },
+                    `${store.subscribers} subscribers, ${store.bindings} bindings` +
+                    (store.computed.length ? `, computed: ${store.computed.join(', ')}` : '')),
+                createNode('pre', {}, JSON.stringify(store.state, null, 2))
+            ]),
+            createNode('h3', {}, 'Flushes'),
+            createNode('ul', {}, data.flushes.slice().reverse().map(flush => createNode('li', {},
+                `${formatTime(flush.at)} ${flush.store}: ${flush.changedKeys.map(key => key || '*').join(', ')}`,
+                flush.caller ? createNode('div', { class: 'muted' }, flush.caller) : null
+            )))
+        ],
+        Bindings: (data) => data.bindings.length
+            ? createNode('ul', {}, data.bindings.map(entry => createNode('li', { class: entry.connected ? '' : 'bad' },
+                `${entry.element}${entry.connected ? '' : ' (detached)'}`,
+                createNode('ul', {}, entry.bindings.map(binding =>
+                    createNode('li', { class: 'muted' }, `${binding.store} › ${binding.key} → ${binding.prop}`)))
+            )))
+            : createNode('div', { class: 'muted' }, 'No bindings'),
+        Routes: (data) => [
+            ...data.routers.map((router, index) => [
+                createNode('h3', {}, `Router ${index + 1} (${router.mode}) at ${router.url ?? '-'}`),
+                createNode('ul', {}, router.routes.map(route => createNode('li', {},
+                    route.path,
+                    createNode('span', { class: 'muted' }, [
+                        route.name ? ` name=${route.name}` : '',
+                        route.loader ? ' loader' : '',
+                        route.lazy ? ' lazy' : '',
+                        route.guards ? ` guards=${route.guards}` : ''
+                    ].join(''))
+                )))
+            ]),
+            createNode('h3', {}, 'Navigations'),
+            createNode('ul', {}, data.navigations.slice().reverse().map(navigation => createNode('li',
+                { class: navigation.completed ? '' : 'bad' },
+                `${formatTime(navigation.at)} ${navigation.source} ${navigation.url} ` +
+                `${navigation.completed ? '' : 'blocked '}(${navigation.duration}ms)`
+            )))
+        ],
+        Components: (data) => data.components.map(component => [
+            createNode('h3', {}, `<${component.name}> × ${component.instances.length}`),
+            createNode('ul', {}, component.instances.map(instance => createNode('li', {},
+                instance.element,
+                createNode('pre', {}, JSON.stringify(instance.props, null, 2))
+            )))
+        ]),
+        Timings: (data) => [
+            data.memory
+                ? createNode('div', { class: 'muted' }, `Heap: ${data.memory.used} / ${data.memory.total} MB`)
+                : null,
+            data.timings.length
+                ? createNode('ul', {}, data.timings.slice().reverse().map(timing => createNode('li', {},
+                    `${formatTime(timing.at)} ${timing.name}: ${timing.duration.toFixed(2)}ms`)))
+                : createNode('div', { class: 'muted' }, 'Nothing measured yet; wrap code in aether.measure()')
+        ]
+    };
+
+    function render() {
+        renderTimer = null;
+        if (panel.hidden) return;
+        tabButtons.forEach((button, index) => {
+            button.setAttribute('aria-selected', String(DEVTOOLS_TABS[index] === activeTab));
+        });
+        content.replaceChildren(...[sections[activeTab](collectSnapshot())].flat(2).filter(Boolean));
+    }
+
+    const overlay = {
+        element: host,
+        get activeTab() {
+            return activeTab;
+        },
+        scheduleRender() {
+            if (!panel.hidden && renderTimer === null) renderTimer = setTimeout(render, 100);
+        },
+        open(tab) {
+            if (tab && DEVTOOLS_TABS.includes(tab)) activeTab = tab;
+            panel.hidden = false;
+            toggleButton.setAttribute('aria-expanded', 'true');
+            // Components and bindings change without debug events
+            if (refreshInterval === null) refreshInterval = setInterval(render, 1000);
+            render();
+        },
+        close() {
+            panel.hidden = true;
+            toggleButton.setAttribute('aria-expanded', 'false');
+            clearInterval(refreshInterval);
+            refreshInterval = null;
+        },
+        toggle() {
+            if (panel.hidden) overlay.open();
+            else overlay.close();
+        },
+        destroy() {
+            overlay.close();
+            clearTimeout(renderTimer);
+            host.remove();
+        }
+    };
+
+    document.body.appendChild(host);
+    if (initiallyOpen) overlay.open();
+    return overlay;
+}
+
+// Installed as window.__AETHER_DEVTOOLS__ while enabled
+const devtoolsHook = {
+    snapshot: () => collectSnapshot(),
+    /**
+     * Streams log entries as they happen: (type, entry) with type
+     * 'store:flush', 'router:navigation' or 'measure'.
+     */
+    subscribe(listener) {
+        if (!session) throw new Error('Aether.js: devtools are not enabled');
+        session.listeners.add(listener);
+        return () => session && session.listeners.delete(listener);
+    },
+    open: (tab) => devtools.open(tab),
+    close: () => devtools.close(),
+    clear: () => devtools.clear()
+};
+
+/**
+ * Opt-in developer tools: a log of store flushes (with the code that
+ * triggered them), navigations and measure() timings, plus live views of
+ * stores, bindings, routes and components. Shows an in-page overlay and
+ * exposes the same data on `window.__AETHER_DEVTOOLS__` for extensions.
+ */
+export const devtools = {
+    /**
+     * Starts collecting. Nothing is recorded before this is called.
+     * @param {object} [options] - Devtools options.
+     * @param {boolean} [options.overlay=true] - Show the in-page overlay.
+     * @param {boolean} [options.open=false] - Open the overlay panel right away.
+     * @param {number} [options.logLimit=200] - Entries kept per log.
+     * @returns {object} devtools.
+     */
+    enable(options = {}) {
+        if (session) return devtools;
+        session = {
+            options: { overlay: true, open: false, logLimit: 200, ...options },
+            logs: { flushes: [], navigations: [], timings: [] },
+            listeners: new Set(),
+            overlay: null
+        };
+        session.stopListening = onDebugEvent(recordDebugEvent);
+
+        if (typeof window !== 'undefined') {
+            window.__AETHER_DEVTOOLS__ = devtoolsHook;
+            window.dispatchEvent(new CustomEvent('aether:devtools-ready', { detail: devtoolsHook }));
+        }
+        if (session.options.overlay && typeof document !== 'undefined' && document.body) {
+            session.overlay = createOverlay(session.options.open);
+        }
+        return devtools;
+    },
+
+    // Stops collecting, removes the overlay and the window hook
+    disable() {
+        if (!session) return;
+        session.stopListening();
+        if (session.overlay) session.overlay.destroy();
+        session = null;
+        if (typeof window !== 'undefined' && window.__AETHER_DEVTOOLS__ === devtoolsHook) {
+            delete window.__AETHER_DEVTOOLS__;
+        }
+    },
+
+    get enabled() {
+        return session !== null;
+    },
+
+    /**
+     * Current stores, bindings, routes, components and the logs, as plain
+     * serializable data.
+     * @returns {object} The snapshot.
+     */
+    snapshot: () => collectSnapshot(),
+
+    // Opens the overlay, optionally on a tab: 'Stores', 'Bindings', 'Routes', 'Components' or 'Timings'
+    open(tab) {
+        if (session?.overlay) session.overlay.open(tab);
+    },
+
+    close() {
+        if (session?.overlay) session.overlay.close();
+    },
+
+    clear() {
+        if (!session) return;
+        Object.values(session.logs).forEach(list => { list.length = 0; });
+        if (session.overlay) session.overlay.scheduleRender();
+    }
+};
@@ -0,0 +1,105 @@
+// --- Module: DOM & Observation ---
+
+import { debounce } from './utilities.js';
+import { reportWarning } from './logging.js';
+
+/**
+ * Waits for an element to exist in the DOM with timeout support.
+ * @param {string} selector - The CSS selector for the element.
+ * @param {number} [timeout=5000] - Timeout in milliseconds.
+ * @returns {Promise<Element>} A promise that resolves with the element.
+ */
+export function waitFor(selector, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const el = document.querySelector(selector);
+        if (el) return resolve(el);
+        
+        let timeoutId;
+        const observer = new MutationObserver(() => {
+            const el = document.querySelector(selector);
+            if (el) {
+                clearTimeout(timeoutId);
+                observer.disconnect();
+                resolve(el);
+            }
+        });
+        
+        observer.observe(document.body, { childList: true, subtree: true });
+        
+        timeoutId = setTimeout(() => {
+            observer.disconnect();
+            reject(new Error(`Element ${selector} not found within ${timeout}ms`));
+        }, timeout);
+    });
+}
+
+/**
+ * Efficiently delegates events to child elements with cleanup tracking.
+ * @param {Element|string} parent - The parent element or its selector.
+ * @param {string} eventType - The event type (e.g., 'click').
+ * @param {string} childSelector - The selector for the target child elements.
+ * @param {Function} callback - The function to call on event.
+ * @param {object} [options] - Event listener options.
+ * @returns {Function} Cleanup function to remove the event listener.
+ */
+export function on(parent, eventType, childSelector, callback, options = {}) {
+    const parentEl = typeof parent === 'string' ? document.querySelector(parent) : parent;
+    if (!parentEl) {
+        reportWarning('dom', `Parent element not found for selector: ${parent}`);
+        return () => {}; // Return no-op cleanup function
+    }
+    
+    const handler = (event) => {
+        const target = event.target.closest(childSelector);
+        if (target && parentEl.contains(target)) {
+            callback(event, target);
+        }
+    };
+    
+    parentEl.addEventListener(eventType, handler, options);
+    
+    // Return cleanup function
+    return () => parentEl.removeEventListener(eventType, handler, options);
+}
+
+/**
+ * Observes the DOM for significant changes, useful for SPAs.
+ * @param {Function} callback - A function to run when a change is detected.
+ * @param {object} [options={ threshold: 10, debounceMs: 100 }] - Configuration options.
+ * @returns {object} Object with disconnect method and the observer.
+ */
+export function onPageChange(callback, options = { threshold: 10, debounceMs: 100 }) {
+    const debouncedCallback = debounce(callback, options.debounceMs);
+    
+    const observer = new MutationObserver(mutations => {
+        let nodeCount = 0;
+        for(const mutation of mutations) {
+            nodeCount += mutation.addedNodes.length + mutation.removedNodes.length;
+            if (nodeCount > options.threshold) break; // Early exit for performance
+        }
+        if (nodeCount > options.threshold) {
+            debouncedCallback();
+        }
+    });
+    
+    observer.observe(document.body, { childList: true, subtree: true });
+    
+    return {
+        disconnect: () => observer.disconnect(),
+        observer
+    };
+}
+
+/**
+ * Batch DOM operations to minimize reflows/repaints.
+ * @param {Function} operations - Function containing DOM operations.
+ * @returns {Promise} Promise that resolves after operations complete.
+ */
+export function batchDOM(operations) {
+    return new Promise(resolve => {
+        requestAnimationFrame(() => {
+            operations();
+            resolve();
+        });
+    });
+}
@@ -0,0 +1,456 @@
+// --- Module: Data Fetching ---
+
+import { resolveStore } from './state.js';
+import { reportError } from './logging.js';
+
+const responseCache = new Map(); // Request key -> { data, updatedAt }
+const inflightRequests = new Map(); // Request key -> shared in-flight request
+const requestInterceptors = [];
+const responseInterceptors = []; // { fulfilled, rejected }
+const liveResources = new Set();
+
+// Options handled by aether.fetch rather than passed to window.fetch
+const CLIENT_OPTIONS = new Set([
+    'url', 'params', 'timeout', 'retries', 'retryDelay', 'retryOn', 'parse',
+    'dedupe', 'staleTime', 'cacheTime', 'key', 'signal'
+]);
+
+function buildRequestUrl(url, params) {
+    if (!params) return url;
+    const pairs = [];
+    Object.keys(params).sort().forEach(key => {
+        [].concat(params[key]).forEach(value => {
+            if (value === undefined || value === null) return;
+            pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+        });
+    });
+    if (!pairs.length) return url;
+    return url + (url.includes('?') ? '&' : '?') + pairs.join('&');
+}
+
+// Identifies a request for caching and deduplication
+function requestKey(config) {
+    return config.key || `${config.method} ${buildRequestUrl(config.url, config.params)}`;
+}
+
+function readCache(key, cacheTime = 300000) {
+    const entry = responseCache.get(key);
+    if (entry && Date.now() - entry.updatedAt > cacheTime) {
+        responseCache.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+function abortError(signal) {
+    if (signal && signal.reason !== undefined) return signal.reason;
+    const error = new Error('The request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function toRequestInit(config, signal) {
+    const init = { signal };
+    Object.keys(config).forEach(key => {
+        if (!CLIENT_OPTIONS.has(key)) init[key] = config[key];
+    });
+    
+    const { body } = config;
+    // Plain objects and arrays only; FormData, Blob etc. pass through
+    const isJson = Array.isArray(body) || Object.prototype.toString.call(body) === '[object Object]';
+    if (isJson) {
+        init.body = JSON.stringify(body);
+        init.headers = { 'Content-Type': 'application/json', ...config.headers };
+    }
+    return init;
+}
+
+async function parseBody(response, parse) {
+    if (typeof parse === 'function') return parse(response);
+    if (parse === 'response') return response;
+    if (parse) return response[parse]();
+    if (response.status === 204) return null;
+    const type = response.headers.get('content-type') || '';
+    return type.includes('json') ? response.json() : response.text();
+}
+
+/**
+ * Sends one attempt, enforcing the timeout.
+ * @private
+ */
+async function sendRequest(config, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = config.timeout
+        ? setTimeout(() => { timedOut = true; controller.abort(); }, config.timeout)
+        : null;
+    
+    try {
+        const response = await fetch(buildRequestUrl(config.url, config.params), toRequestInit(config, controller.signal));
+        const data = await parseBody(response, config.parse);
+        if (!response.ok) {
+            const error = new Error(`Request failed with status ${response.status}`);
+            error.name = 'HTTPError';
+            error.status = response.status;
+            error.response = response;
+            error.data = data;
+            throw error;
+        }
+        return { data, response };
+    } catch (error) {
+        if (timedOut) {
+            const timeoutError = new Error(`Request timed out after ${config.timeout}ms`);
+            timeoutError.name = 'TimeoutError';
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+    }
+}
+
+// Network errors, timeouts, 5xx and 429 are retried by default
+function shouldRetry(error, attempt, config) {
+    if (attempt >= config.retries || error.name === 'AbortError') return false;
+    if (typeof config.retryOn === 'function') return config.retryOn(error, attempt);
+    return error.status === undefined || error.status >= 500 || error.status === 429;
+}
+
+/**
+ * Runs attempts with exponential backoff, then the response interceptors.
+ * @private
+ */
+async function performRequest(config, signal) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const { data, response } = await sendRequest(config, signal);
+            let result = data;
+            for (const { fulfilled } of responseInterceptors) {
+                if (fulfilled) result = await fulfilled(result, { response, config });
+            }
+            return result;
+        } catch (error) {
+            if (!signal.aborted && shouldRetry(error, attempt, config)) {
+                const delay = typeof config.retryDelay === 'function'
+                    ? config.retryDelay(attempt, error)
+                    : config.retryDelay * 2 ** attempt;
+                await wait(delay, signal);
+                continue;
+            }
+            
+            // A rejected interceptor may recover by returning data
+            let failure = error;
+            for (const { rejected } of responseInterceptors) {
+                if (!rejected) continue;
+                try {
+                    return await rejected(failure, config);
+                } catch (next) {
+                    failure = next;
+                }
+            }
+            throw failure;
+        }
+    }
+}
+
+function startRequest(key, config, cacheable) {
+    const controller = new AbortController();
+    const entry = { controller, consumers: 0, settled: false };
+    entry.promise = performRequest(config, controller.signal)
+        .then(data => {
+            if (cacheable) responseCache.set(key, { data, updatedAt: Date.now() });
+            return data;
+        })
+        .finally(() => {
+            entry.settled = true;
+            if (inflightRequests.get(key) === entry) inflightRequests.delete(key);
+        });
+    entry.promise.catch(() => {}); // Consumers handle errors
+    return entry;
+}
+
+/**
+ * Gives one caller its own view of a shared request. Aborting the
+ * caller's signal rejects only that caller; the request itself is
+ * aborted once every caller has gone.
+ * @private
+ */
+function attachConsumer(entry, signal) {
+    entry.consumers++;
+    return new Promise((resolve, reject) => {
+        let done = false;
+        const release = () => {
+            if (done) return false;
+            done = true;
+            entry.consumers--;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            return true;
+        };
+        const onAbort = () => {
+            if (!release()) return;
+            if (entry.consumers === 0 && !entry.settled) entry.controller.abort(abortError(signal));
+            reject(abortError(signal));
+        };
+        
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        entry.promise.then(
+            data => { if (release()) resolve(data); },
+            error => { if (release()) reject(error); }
+        );
+    });
+}
+
+/**
+ * fetch() with JSON handling, deduplication, caching, retries and
+ * timeouts. Resolves with the parsed body; non-2xx responses reject
+ * with an HTTPError carrying status, response and data.
+ * @param {string} url - Request URL.
+ * @param {object} [options] - fetch() init options, plus:
+ * @param {object} [options.params] - Query parameters; arrays repeat the key.
+ * @param {number} [options.timeout] - Abort after this many ms (TimeoutError).
+ * @param {number} [options.retries=0] - Retry attempts for failed requests.
+ * @param {number|Function} [options.retryDelay=300] - Base backoff in ms, doubled per attempt, or (attempt, error) => ms.
+ * @param {Function} [options.retryOn] - (error, attempt) => boolean.
+ * @param {string|Function} [options.parse] - 'json', 'text', 'blob', 'arrayBuffer', 'response' or (response) => data.
+ * @param {boolean} [options.dedupe=true] - Share identical in-flight GET requests.
+ * @param {number} [options.staleTime=0] - Serve cached GET data younger than this (ms).
+ * @param {number} [options.cacheTime=300000] - Drop cached data older than this (ms).
+ * @param {AbortSignal} [options.signal] - Cancels this call.
+ * @returns {Promise<*>} The response data.
+ */
+export async function request(url, options = {}) {
+    let config = {
+        dedupe: true,
+        retries: 0,
+        retryDelay: 300,
+        staleTime: 0,
+        ...options,
+        url,
+        method: (options.method || 'GET').toUpperCase()
+    };
+    for (const interceptor of requestInterceptors) {
+        config = (await interceptor(config)) || config;
+    }
+    
+    const key = requestKey(config);
+    const cacheable = config.method === 'GET';
+    if (cacheable && config.staleTime > 0) {
+        const cached = readCache(key, config.cacheTime);
+        if (cached && Date.now() - cached.updatedAt < config.staleTime) return cached.data;
+    }
+    
+    let entry = cacheable && config.dedupe ? inflightRequests.get(key) : null;
+    if (!entry) {
+        entry = startRequest(key, config, cacheable);
+        if (cacheable && config.dedupe) inflightRequests.set(key, entry);
+    }
+    return attachConsumer(entry, config.signal);
+}
+
+function addInterceptor(list, interceptor) {
+    list.push(interceptor);
+    return () => {
+        const index = list.indexOf(interceptor);
+        if (index !== -1) list.splice(index, 1);
+    };
+}
+
+request.interceptors = {
+    // (config) => config; may be async
+    request: {
+        use: (fn) => addInterceptor(requestInterceptors, fn)
+    },
+    // fulfilled(data, { response, config }) => data; rejected(error, config) => data or throw
+    response: {
+        use: (fulfilled, rejected) => addInterceptor(responseInterceptors, { fulfilled, rejected })
+    }
+};
+
+/**
+ * Drops cached responses whose key contains `match` (or satisfies it,
+ * when a function) and refetches live resources using them.
+ */
+request.invalidate = (match) => {
+    const test = typeof match === 'function' ? match : key => key.includes(match);
+    Array.from(responseCache.keys()).forEach(key => {
+        if (test(key)) responseCache.delete(key);
+    });
+    liveResources.forEach(item => {
+        if (item.key && test(item.key)) item.refetch().catch(() => {});
+    });
+};
+
+request.clearCache = () => responseCache.clear();
+
+/**
+ * Creates a resource: cached, stale-while-revalidate data for a URL.
+ * Cached data is shown at once while a fresh copy loads, and state
+ * can be piped into a store path for bind().
+ * @param {string|Function} source - URL, or (params) => URL.
+ * @param {object} [options] - aether.fetch options, plus:
+ * @param {object} [options.params] - Initial params; load(params) replaces them.
+ * @param {boolean} [options.immediate=true] - Load on creation.
+ * @param {*} [options.initialData] - Data before the first load.
+ * @param {object|string} [options.store] - Store (or store name) to write state into.
+ * @param {string} [options.path] - Store path for { loading, data, error, updatedAt, stale }.
+ * @returns {object} The resource.
+ */
+export function resource(source, options = {}) {
+    const {
+        immediate = true,
+        initialData = null,
+        store: storeOption,
+        path,
+        staleTime = 0,
+        cacheTime = 300000,
+        params: initialParams,
+        ...fetchOptions
+    } = options;
+    const targetStore = path ? resolveStore(storeOption) : null;
+    const subscribers = new Set();
+    let params = initialParams;
+    let state = { loading: false, data: initialData, error: null, updatedAt: null, stale: false };
+    let controller = null;
+    let loadId = 0;
+    
+    function update(patch) {
+        state = { ...state, ...patch };
+        if (targetStore && !targetStore.isDestroyed()) {
+            targetStore.set(path, {
+                ...state,
+                error: state.error ? { message: state.error.message, status: state.error.status ?? null } : null
+            });
+        }
+        subscribers.forEach(callback => {
+            try {
+                callback(state);
+            } catch (error) {
+                reportError(error, {
+                    module: 'fetch',
+                    operation: 'subscriber',
+                    message: 'Error in resource subscriber'
+                });
+            }
+        });
+    }
+    
+    // Params build the URL of a function source, or the query string of a URL
+    function configFor(currentParams) {
+        const dynamic = typeof source === 'function';
+        return {
+            ...fetchOptions,
+            url: dynamic ? source(currentParams || {}) : source,
+            params: dynamic ? undefined : currentParams,
+            method: (fetchOptions.method || 'GET').toUpperCase()
+        };
+    }
+    
+    async function load(nextParams, { force = false } = {}) {
+        if (nextParams !== undefined) params = nextParams;
+        const config = configFor(params);
+        const key = requestKey(config);
+        item.key = key;
+        
+        const cached = readCache(key, cacheTime);
+        if (cached) {
+            const fresh = Date.now() - cached.updatedAt < staleTime;
+            update({ data: cached.data, updatedAt: cached.updatedAt, error: null, stale: !fresh });
+            if (fresh && !force) return cached.data;
+        }
+        
+        // The latest load wins
+        if (controller) controller.abort();
+        const current = new AbortController();
+        controller = current;
+        const id = ++loadId;
+        update({ loading: true });
+        
+        try {
+            const { url, ...rest } = config;
+            const data = await request(url, { ...rest, signal: current.signal, cacheTime });
+            if (id === loadId) update({ loading: false, data, error: null, updatedAt: Date.now(), stale: false });
+            return data;
+        } catch (error) {
+            if (id === loadId) update({ loading: false, error: error.name === 'AbortError' ? null : error });
+            throw error;
+        } finally {
+            if (controller === current) controller = null;
+        }
+    }
+    
+    const item = {
+        key: null,
+        
+        // Loads with new params (or the current ones); cached data younger than staleTime is reused
+        load: (nextParams) => load(nextParams),
+        
+        refetch: () => load(undefined, { force: true }),
+        
+        // Replaces the data locally (e.g. optimistic updates) and in the cache
+        mutate(next) {
+            const data = typeof next === 'function' ? next(state.data) : next;
+            if (item.key) responseCache.set(item.key, { data, updatedAt: Date.now() });
+            update({ data, updatedAt: Date.now() });
+            return data;
+        },
+        
+        subscribe(callback) {
+            subscribers.add(callback);
+            return () => subscribers.delete(callback);
+        },
+        
+        abort() {
+            if (controller) controller.abort();
+        },
+        
+        destroy() {
+            if (controller) controller.abort();
+            subscribers.clear();
+            liveResources.delete(item);
+        },
+        
+        get state() {
+            return state;
+        },
+        
+        get data() {
+            return state.data;
+        },
+        
+        get loading() {
+            return state.loading;
+        },
+        
+        get error() {
+            return state.error;
+        }
+    };
+    
+    liveResources.add(item);
+    if (targetStore) update({});
+    if (immediate) item.load().catch(() => {});
+    return item;
+}
@@ -0,0 +1,125 @@
+// --- Public API ---
+
+import { configure } from './logging.js';
+import { waitFor, on, onPageChange, batchDOM } from './dom.js';
+import {
+    animate, fadeIn, fadeOut, transition, timeline, presets,
+    insert, remove, animateLayout, spring, scrollAnimate
+} from './animation.js';
+import { createStore, getStore, bind, form, validators, storageAdapters, serializeState } from './state.js';
+import { request, resource } from './fetch.js';
+import { list } from './list.js';
+import { define, provide, requestContext } from './components.js';
+import { renderToString } from './server.js';
+import { debounce, throttle, deepClone } from './utilities.js';
+import { router } from './router.js';
+import { measure, getMemoryUsage } from './performance.js';
+import { devtools } from './devtools.js';
+
+const version = '2.0.0-optimized';
+
+// Named exports let bundlers drop the modules an app doesn't use
+export {
+    // Configuration
+    configure,
+    // DOM
+    waitFor,
+    on,
+    onPageChange,
+    batchDOM,
+    // Animation
+    animate,
+    fadeIn,
+    fadeOut,
+    transition,
+    timeline,
+    presets,
+    insert,
+    remove,
+    animateLayout,
+    spring,
+    scrollAnimate,
+    // State
+    createStore,
+    getStore,
+    bind,
+    form,
+    validators,
+    storageAdapters as storage,
+    serializeState,
+    list,
+    // Data
+    request as fetch,
+    resource,
+    // Components
+    define,
+    provide,
+    requestContext,
+    renderToString,
+    // Utilities
+    debounce,
+    throttle,
+    deepClone,
+    // Router
+    router,
+    // Performance
+    measure,
+    getMemoryUsage,
+    devtools,
+    // Version info
+    version
+};
+
+// The classic `aether` object, also the global in the script build
+const aether = {
+    // Configuration
+    configure,
+    // DOM
+    waitFor,
+    on,
+    onPageChange,
+    batchDOM,
+    // Animation
+    animate,
+    fadeIn,
+    fadeOut,
+    transition,
+    timeline,
+    presets,
+    insert,
+    remove,
+    animateLayout,
+    spring,
+    scrollAnimate,
+    // State
+    createStore,
+    getStore,
+    bind,
+    form,
+    validators,
+    storage: storageAdapters,
+    serializeState,
+    list,
+    // Data
+    fetch: request,
+    resource,
+    // Components
+    define,
+    provide,
+    requestContext,
+    renderToString,
+    // Utilities
+    debounce,
+    throttle,
+    deepClone,
+    // Router
+    router,
+    // Performance
+    measure,
+    getMemoryUsage,
+    devtools,
+    // Version info
+    version
+};
+
+export default aether;
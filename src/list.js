@@ -0,0 +1,288 @@
+// --- Module: List Rendering ---
+
+import { waitFor } from './dom.js';
+import { resolveStore } from './state.js';
+import { reportError, reportWarning } from './logging.js';
+
+/**
+ * Renders a store array into a container. Rows are keyed, so existing
+ * nodes are reused, moved and removed instead of rebuilding the list,
+ * and updates run in the store's batched flush like bind().
+ * With `virtual`, only rows in and near the viewport are rendered. The
+ * container must scroll (a fixed height and overflow: auto); row heights
+ * are measured as rows render, so they may differ.
+ * @param {Element|string} containerOrSelector - The container or its selector. The list owns its
+ *   children and clears any existing ones.
+ * @param {string} stateKey - Dot-notation key of the array in the state.
+ * @param {object} options - List options.
+ * @param {Function} options.render - (item, index) => Element for a new row.
+ * @param {Function} [options.update] - (node, item, index) => void, patches a reused row whose
+ *   item or index changed. Without it, rows whose item changed are rendered again.
+ * @param {string|Function} [options.key] - Item property or (item, index) => key. Defaults to the index.
+ * @param {Function} [options.transform] - Maps the array before rendering, e.g. to filter or sort it.
+ * @param {object|string} [options.store] - The store or its name.
+ * @param {boolean|object} [options.virtual] - true or { estimatedHeight: 40, overscan: 5 }.
+ * @returns {Promise<object>} Promise that resolves to the list controller.
+ */
+export function list(containerOrSelector, stateKey, options = {}) {
+    if (typeof options.render !== 'function') {
+        throw new Error('aether.list() requires a render function');
+    }
+    const targetStore = resolveStore(options.store);
+    const ready = typeof containerOrSelector === 'string'
+        ? waitFor(containerOrSelector)
+        : Promise.resolve(containerOrSelector);
+
+    return ready.then(container => createListController(container, stateKey, targetStore, options));
+}
+
+/**
+ * @private
+ */
+function createListController(container, stateKey, targetStore, options) {
+    const { render, update, key, transform } = options;
+    const keyOf = typeof key === 'function'
+        ? key
+        : (key ? (item) => item?.[key] : (item, index) => index);
+    const windowing = options.virtual
+        ? { estimatedHeight: 40, overscan: 5, ...(typeof options.virtual === 'object' ? options.virtual : {}) }
+        : null;
+
+    let entries = []; // [{ key, item }] for the whole array, in order
+    let rows = new Map(); // Rendered rows by key: { node, item, index }
+    let destroyed = false;
+
+    // Virtual lists render between two spacers standing in for the rows outside the window
+    let before = null;
+    let after = null;
+    let frame = null;
+    let resizeObserver = null;
+    const heights = new Map(); // Measured row heights by key
+    let measuredTotal = 0;
+
+    function collect(value) {
+        const seen = new Set();
+        return Array.from(value || []).map((item, index) => {
+            let itemKey = keyOf(item, index);
+            if (seen.has(itemKey)) {
+                reportWarning('list', `Duplicate key "${itemKey}" in list ${stateKey}`);
+                itemKey = `${itemKey}:${index}`;
+            }
+            seen.add(itemKey);
+            return { key: itemKey, item };
+        });
+    }
+
+    function renderRow(entry, index) {
+        try {
+            return { node: render(entry.item, index), item: entry.item, index };
+        } catch (error) {
+            reportError(error, {
+                module: 'list',
+                operation: 'render',
+                message: `Error rendering row ${entry.key} of ${stateKey}`,
+                key: stateKey
+            });
+            return null;
+        }
+    }
+
+    // Brings a reused row up to date; returns the row to place
+    function patchRow(row, entry, index) {
+        if (row.item === entry.item && row.index === index) return row;
+        if (update) {
+            try {
+                update(row.node, entry.item, index);
+            } catch (error) {
+                reportError(error, {
+                    module: 'list',
+                    operation: 'update',
+                    message: `Error updating row ${entry.key} of ${stateKey}`,
+                    key: stateKey
+                });
+            }
+        } else if (row.item !== entry.item) {
+            const fresh = renderRow(entry, index);
+            if (fresh) {
+                removeRow(row);
+                return fresh;
+            }
+        }
+        row.item = entry.item;
+        row.index = index;
+        return row;
+    }
+
+    function removeRow(row) {
+        if (resizeObserver) resizeObserver.unobserve(row.node);
+        row.node.remove();
+    }
+
+    /**
+     * Makes the rendered rows match entries[start, end). Rows that left
+     * are removed first so the kept ones need as few moves as possible.
+     * @private
+     */
+    function reconcile(start, end) {
+        const wanted = new Set();
+        for (let index = start; index < end; index++) wanted.add(entries[index].key);
+        rows.forEach((row, rowKey) => {
+            if (!wanted.has(rowKey)) removeRow(row);
+        });
+
+        const next = new Map();
+        let ref = before; // Rows go after this node; null means the start of the container
+        for (let index = start; index < end; index++) {
+            const entry = entries[index];
+            const existing = rows.get(entry.key);
+            const row = existing ? patchRow(existing, entry, index) : renderRow(entry, index);
+            if (!row) continue;
+            next.set(entry.key, row);
+
+            const expected = ref ? ref.nextSibling : container.firstChild;
+            if (expected !== row.node) container.insertBefore(row.node, expected);
+            if (resizeObserver && row !== existing) resizeObserver.observe(row.node);
+            ref = row.node;
+        }
+        rows = next;
+    }
+
+    function heightOf(rowKey) {
+        if (heights.has(rowKey)) return heights.get(rowKey);
+        return heights.size ? measuredTotal / heights.size : windowing.estimatedHeight;
+    }
+
+    function setHeight(rowKey, height) {
+        measuredTotal += height - (heights.get(rowKey) || 0);
+        heights.set(rowKey, height);
+    }
+
+    function offsetsOf() {
+        const offsets = [0];
+        entries.forEach((entry, index) => {
+            offsets.push(offsets[index] + heightOf(entry.key));
+        });
+        return offsets;
+    }
+
+    /**
+     * Renders the rows overlapping the viewport plus `overscan` on each
+     * side, then measures them. When measuring changes the offsets, the
+     * scroll position moves with the first visible row so it stays put.
+     * @private
+     */
+    function renderWindow() {
+        if (frame !== null) cancelAnimationFrame(frame); // Rendering now covers a scheduled frame
+        frame = null;
+        if (destroyed) return;
+        const offsets = offsetsOf();
+        const top = container.scrollTop;
+        const bottom = top + container.clientHeight;
+
+        let first = 0;
+        while (first < entries.length && offsets[first + 1] <= top) first++;
+        let last = first;
+        while (last < entries.length && offsets[last] < bottom) last++;
+        const start = Math.max(0, first - windowing.overscan);
+        const end = Math.min(entries.length, last + windowing.overscan);
+
+        before.style.height = `${offsets[start]}px`;
+        after.style.height = `${offsets[entries.length] - offsets[end]}px`;
+        reconcile(start, end);
+
+        let changed = false;
+        rows.forEach((row, rowKey) => {
+            const height = row.node.getBoundingClientRect().height;
+            if (!height || height === heights.get(rowKey)) return; // Unchanged, or not laid out
+            setHeight(rowKey, height);
+            changed = true;
+        });
+        if (!changed) return;
+        // Measuring moves the rows after it and changes the estimate for unmeasured ones
+        if (first < entries.length) {
+            const shift = offsetsOf()[first] - offsets[first];
+            if (shift) container.scrollTop = top + shift;
+        }
+        scheduleWindow();
+    }
+
+    function scheduleWindow() {
+        if (frame === null && !destroyed) frame = requestAnimationFrame(renderWindow);
+    }
+
+    function apply(value) {
+        if (destroyed) return;
+        const items = transform ? transform(value) : value;
+        entries = collect(items);
+        if (!windowing) {
+            reconcile(0, entries.length);
+            return;
+        }
+        // Forget heights of removed items so the estimate follows the current rows
+        const present = new Set(entries.map(entry => entry.key));
+        heights.forEach((height, rowKey) => {
+            if (!present.has(rowKey)) {
+                measuredTotal -= height;
+                heights.delete(rowKey);
+            }
+        });
+        renderWindow();
+    }
+
+    // The list owns the container, so markup already in it (e.g. a placeholder) is cleared
+    if (!windowing) {
+        container.replaceChildren();
+    } else {
+        before = document.createElement('div');
+        after = document.createElement('div');
+        [before, after].forEach(spacer => spacer.setAttribute('aria-hidden', 'true'));
+        container.replaceChildren(before, after);
+        container.addEventListener('scroll', scheduleWindow, { passive: true });
+        if (typeof ResizeObserver === 'function') {
+            resizeObserver = new ResizeObserver(scheduleWindow);
+            resizeObserver.observe(container);
+        }
+    }
+
+    const removeBinding = targetStore._addBinding(stateKey, container, 'list', null, apply);
+
+    return {
+        container,
+
+        // Renders again from the current state, e.g. after `transform` starts filtering differently
+        refresh: () => apply(targetStore.get(stateKey)),
+
+        /**
+         * Scrolls a row into view. Virtual lists scroll to the row's
+         * estimated offset and render it on the way.
+         * @param {number} index - Index in the (transformed) array.
+         * @param {object} [scrollOptions] - { align: 'start' | 'center' | 'end', behavior }.
+         */
+        scrollToIndex: (index, { align = 'start', behavior = 'auto' } = {}) => {
+            const entry = entries[index];
+            if (!entry) return;
+            if (!windowing) {
+                rows.get(entry.key)?.node.scrollIntoView({ block: align, behavior });
+                return;
+            }
+            const height = heightOf(entry.key);
+            let top = offsetsOf()[index];
+            if (align === 'center') top -= (container.clientHeight - height) / 2;
+            if (align === 'end') top -= container.clientHeight - height;
+            container.scrollTo({ top: Math.max(0, top), behavior });
+            scheduleWindow();
+        },
+
+        // Stops updating; rendered rows stay in place
+        destroy: () => {
+            if (destroyed) return;
+            destroyed = true;
+            removeBinding();
+            if (windowing) {
+                container.removeEventListener('scroll', scheduleWindow);
+                if (resizeObserver) resizeObserver.disconnect();
+                if (frame !== null) cancelAnimationFrame(frame);
+            }
+        }
+    };
+}
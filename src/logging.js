@@ -0,0 +1,101 @@
+// --- Module: Logging ---
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const loggingConfig = {
+    onError: null,
+    logger: console,
+    logLevel: 'info',
+    dedupeWarnings: true
+};
+const warnedMessages = new Set(); // Warnings already logged, when deduplicating
+
+/**
+ * Sets how the library reports problems. Errors caught in subscribers,
+ * bindings, route handlers, guards, component callbacks and event
+ * handlers reach `onError` as structured errors whatever the log level.
+ * @param {object} [options] - Logging options.
+ * @param {Function} [options.onError] - Called with each structured error (or null to remove).
+ * @param {object} [options.logger=console] - Object with error, warn, info and debug methods.
+ * @param {string} [options.logLevel='info'] - 'debug', 'info', 'warn', 'error' or 'silent'.
+ * @param {boolean} [options.dedupeWarnings=true] - Log each distinct warning once.
+ * @returns {object} The resulting configuration.
+ */
+export function configure(options = {}) {
+    if (options.logLevel !== undefined && !LOG_LEVELS.includes(options.logLevel)) {
+        throw new Error(`Invalid log level "${options.logLevel}", expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    if (options.onError != null && typeof options.onError !== 'function') {
+        throw new Error('onError must be a function');
+    }
+    Object.assign(loggingConfig, options);
+    if (!loggingConfig.logger) loggingConfig.logger = console;
+    warnedMessages.clear();
+    return { ...loggingConfig };
+}
+
+/**
+ * Writes to the configured logger if `level` passes the log level.
+ * @private
+ */
+export function logMessage(level, ...args) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(loggingConfig.logLevel)) return;
+    const { logger } = loggingConfig;
+    const write = typeof logger[level] === 'function' ? logger[level] : logger.log;
+    if (typeof write === 'function') write.apply(logger, args);
+}
+
+/**
+ * Wraps a caught error with where it happened. The original error is
+ * kept as `error` (and `cause`), the message without it as `summary`.
+ * @param {*} error - The caught error.
+ * @param {object} info - { module, operation, message, component, route, key, ... }.
+ * @returns {Error} An error named 'AetherError'.
+ */
+export function createAetherError(error, info) {
+    const { message = `${info.operation} failed`, ...context } = info;
+    const reason = error && typeof error.message === 'string' ? error.message : String(error);
+    const structured = new Error(`${message}: ${reason}`, { cause: error });
+    structured.name = 'AetherError';
+    Object.assign(structured, context);
+    structured.error = error;
+    structured.summary = message;
+    return structured;
+}
+
+/**
+ * Reports a caught error: passes the structured error to `onError`
+ * and logs it at the 'error' level.
+ * @param {*} error - The caught error.
+ * @param {object} info - { module, operation, message, component, route, key, ... }.
+ * @returns {Error} The structured error.
+ */
+export function reportError(error, info) {
+    const structured = createAetherError(error, info);
+    if (loggingConfig.onError) {
+        try {
+            loggingConfig.onError(structured);
+        } catch (handlerError) {
+            // Never let the error tracker take the app down with it
+            logMessage('error', 'Aether.js: onError handler failed:', handlerError);
+        }
+    }
+    logMessage('error', `Aether.js: ${structured.summary}:`, error);
+    return structured;
+}
+
+/**
+ * Logs a warning at the 'warn' level, once per distinct message unless
+ * deduplication is turned off. Extra arguments are logged but are not
+ * part of the deduplication key.
+ * @param {string} module - The reporting module, e.g. 'state'.
+ * @param {string} message - The warning.
+ * @param {...*} details - Values logged after the message.
+ */
+export function reportWarning(module, message, ...details) {
+    if (loggingConfig.dedupeWarnings) {
+        const key = `${module}:${message}`;
+        if (warnedMessages.has(key)) return;
+        warnedMessages.add(key);
+    }
+    logMessage('warn', `Aether.js: ${message}`, ...details);
+}
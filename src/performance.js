@@ -0,0 +1,103 @@
+// --- Module: Performance & Debugging ---
+
+import { logMessage, reportError } from './logging.js';
+
+const debugListeners = new Set(); // Developer tools; empty unless aether.devtools is enabled
+
+/**
+ * Listens to internal debug events ('store:flush', 'router:navigation',
+ * 'measure'). Modules only collect debug data while someone listens.
+ * @param {Function} listener - Called with (type, detail).
+ * @returns {Function} Unsubscribe function.
+ * @private
+ */
+export function onDebugEvent(listener) {
+    debugListeners.add(listener);
+    return () => debugListeners.delete(listener);
+}
+
+export function isDebugging() {
+    return debugListeners.size > 0;
+}
+
+export function emitDebug(type, detail) {
+    debugListeners.forEach(listener => {
+        try {
+            listener(type, detail);
+        } catch (error) {
+            reportError(error, {
+                module: 'performance',
+                operation: 'debugListener',
+                message: 'Error in devtools listener'
+            });
+        }
+    });
+}
+
+// File (URL or path) of a stack frame such as "at fn (file:1:2)" or "fn@file:1:2"
+function frameLocation(frame) {
+    const match = frame.match(/(?:^|[\s(@])((?:[a-z][\w+.-]*:\/\/|\/|[a-zA-Z]:\\)[^\s()]*?):\d+:\d+\)?$/);
+    return match ? match[1] : null;
+}
+
+// The bundle file, or the src/ directory when loaded as ES modules
+const LIBRARY_LOCATION = (() => {
+    const frame = String(new Error().stack).split('\n').find(frameLocation);
+    const location = frame ? frameLocation(frame) : null;
+    return location && /[\\/]src[\\/]performance\.js$/.test(location)
+        ? location.replace(/performance\.js$/, '')
+        : location;
+})();
+
+/**
+ * Describes the first stack frame outside the library, i.e. the code that
+ * triggered an update. Only used while debugging; stacks are costly.
+ * @private
+ */
+export function captureCaller() {
+    if (!LIBRARY_LOCATION) return null;
+    const frame = String(new Error().stack).split('\n').find(line => {
+        const location = frameLocation(line);
+        return location && !location.startsWith(LIBRARY_LOCATION);
+    });
+    return frame ? frame.trim().replace(/^at /, '') : null;
+}
+
+/**
+ * Simple performance monitor for development.
+ * @param {string} name - Operation name.
+ * @param {Function} fn - Function to measure.
+ * @returns {*} Function result.
+ */
+export function measure(name, fn) {
+    if (typeof performance === 'undefined') {
+        return fn();
+    }
+    
+    const start = performance.now();
+    const result = fn();
+    const end = performance.now();
+    
+    // With devtools on, timings go to its panel instead of the console
+    if (isDebugging()) {
+        emitDebug('measure', { name, duration: end - start, at: Date.now() });
+    } else {
+        logMessage('info', `[Aether.js] ${name}: ${(end - start).toFixed(2)}ms`);
+    }
+    return result;
+}
+
+/**
+ * Memory usage tracker (development only).
+ */
+export function getMemoryUsage() {
+    if (typeof performance === 'undefined' || !performance.memory) {
+        return null;
+    }
+    
+    return {
+        used: Math.round(performance.memory.usedJSHeapSize / 1048576),
+        total: Math.round(performance.memory.totalJSHeapSize / 1048576),
+        limit: Math.round(performance.memory.jsHeapSizeLimit / 1048576)
+    };
+}
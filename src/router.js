@@ -0,0 +1,1274 @@
+// --- Module: Routing ---
+
+import { transition } from './animation.js';
+import { readServerState } from './state.js';
+import { emitDebug, isDebugging } from './performance.js';
+import { reportError, reportWarning } from './logging.js';
+
+export const routers = new Set(); // Initialized routers, for aether.devtools
+
+/**
+ * Creates a lightweight SPA router with enhanced features.
+ * Routes can be nested: a parent renders a layout whose outlet hosts
+ * its children, and is not re-run when navigating between them.
+ * @param {object} [options] - Router configuration options.
+ * @returns {object} A router instance.
+ */
+export function router(options = {}) {
+    const routes = []; // Top-level route records
+    const matchers = []; // Flattened { regex, chain } entries, most specific first
+    const middleware = [];
+    let notFoundHandler = (context) => reportWarning('router', `No route matches ${context.path}`);
+    let errorHandler = null; // Falls back to defaultErrorView when unset
+    let currentRoute = null;
+    let currentMatches = []; // Rendered chain: [{ route, params, outlet }]
+    let currentContext = null;
+    let currentUrl = null;
+    let isInitialized = false;
+    
+    const beforeEachGuards = [];
+    const afterEachHooks = [];
+    const beforeLeaveGuards = [];
+    let navigationId = 0; // Incremented per navigation; stale ones stop early
+    let historyIndex = 0; // Position of the current entry, stored in history.state
+    let ignoreNextPop = false;
+    const namedRoutes = new Map();
+    let activeNavigation = null; // { id, controller } while a navigation is pending
+    let hydration = null; // { data } for the landing navigation after init({ hydrate })
+    const listeners = new Map(); // Router events: navigationstart, navigationend, navigationerror
+    
+    const config = {
+        hashMode: false,
+        baseUrl: '',
+        caseSensitive: false,
+        outlet: null, // Where top-level routes render (element or selector)
+        scrollBehavior: null, // Default for routes without their own
+        focus: 'main, [role="main"]', // Region focused after navigating, or false
+        announce: true, // Announce the new page to screen readers, or a (context) => message function
+        transitions: false, // Wrap rendering in view transitions: true, a name, or { name, duration }
+        ...options
+    };
+    const scrollPositions = new Map(); // History index -> { left, top }
+    let liveRegion = null;
+    
+    // :name, :name(constraint), :name? and *splat tokens within a path segment
+    const PARAM_TOKEN = /:(\w+)(?:\(([^()]+)\))?(\?)?|\*(\w*)/g;
+    
+    /**
+     * Compiles a route path into a matcher regex and the segment tokens
+     * used to build URLs. A segment that is just an optional param or a
+     * splat also makes its leading slash optional.
+     * @private
+     */
+    function compilePath(path) {
+        const segments = [];
+        const paramNames = [];
+        let source = '';
+        
+        path.split('/').slice(1).forEach(segment => {
+            const parts = [];
+            let lastIndex = 0;
+            let pattern = '';
+            for (const { 0: token, 1: name, 2: constraint, 3: optional, 4: splat, index: offset } of segment.matchAll(PARAM_TOKEN)) {
+                if (offset > lastIndex) parts.push(segment.slice(lastIndex, offset));
+                const isSplat = splat !== undefined;
+                const param = {
+                    name: isSplat ? (splat || 'wildcard') : name,
+                    constraint: constraint || null,
+                    optional: Boolean(optional) || isSplat,
+                    splat: isSplat
+                };
+                parts.push(param);
+                paramNames.push(param.name);
+                lastIndex = offset + token.length;
+            }
+            if (lastIndex < segment.length) parts.push(segment.slice(lastIndex));
+            
+            parts.forEach(part => {
+                if (typeof part === 'string') {
+                    pattern += part.replace(/[.+?^${}()|[\]\\*]/g, '\\$&');
+                    return;
+                }
+                const body = part.splat ? '.*' : (part.constraint || '[^/]+');
+                pattern += `(?<${part.name}>${body})${part.optional ? '?' : ''}`;
+            });
+            
+            const only = parts.length === 1 && typeof parts[0] !== 'string' ? parts[0] : null;
+            source += only && only.optional ? `(?:\\/${pattern})?` : `\\/${pattern}`;
+            segments.push(parts);
+        });
+        
+        return {
+            regex: new RegExp(`^${source || '\\/'}\\/?$`, config.caseSensitive ? '' : 'i'),
+            paramNames,
+            segments
+        };
+    }
+    
+    /**
+     * Builds a path from compiled segments, encoding params and dropping
+     * missing optional segments.
+     * @private
+     */
+    function buildPath(route, params = {}) {
+        const built = route.segments.map(parts => parts.map(part => {
+            if (typeof part === 'string') return part;
+            const value = params[part.name];
+            if (value === undefined || value === null || value === '') {
+                if (part.optional) return '';
+                throw new Error(`Missing param "${part.name}" for route ${route.name || route.fullPath}`);
+            }
+            const text = String(value);
+            if (part.constraint && !new RegExp(`^(?:${part.constraint})$`).test(text)) {
+                throw new Error(`Param "${part.name}" does not match ${part.constraint}`);
+            }
+            return part.splat
+                ? text.split('/').map(encodeURIComponent).join('/')
+                : encodeURIComponent(text);
+        }).join(''));
+        return '/' + built.filter(segment => segment !== '').join('/');
+    }
+    
+    function safeDecode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return value;
+        }
+    }
+    
+    function decodeQueryComponent(value) {
+        return safeDecode(value.replace(/\+/g, ' '));
+    }
+    
+    /**
+     * Parses a query string. Repeated keys collect into arrays and `+`
+     * decodes to a space.
+     * @private
+     */
+    function parseQuery(search) {
+        const query = {};
+        search.replace(/^\?/, '').split('&').forEach(pair => {
+            if (!pair) return;
+            const separator = pair.indexOf('=');
+            const key = decodeQueryComponent(separator === -1 ? pair : pair.slice(0, separator));
+            const value = separator === -1 ? '' : decodeQueryComponent(pair.slice(separator + 1));
+            if (!(key in query)) {
+                query[key] = value;
+            } else if (Array.isArray(query[key])) {
+                query[key].push(value);
+            } else {
+                query[key] = [query[key], value];
+            }
+        });
+        return query;
+    }
+    
+    /**
+     * Serializes a query object. Arrays repeat their key; null and
+     * undefined values are skipped.
+     * @private
+     */
+    function stringifyQuery(query = {}) {
+        const pairs = [];
+        Object.keys(query).forEach(key => {
+            [].concat(query[key]).forEach(value => {
+                if (value === undefined || value === null) return;
+                pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+            });
+        });
+        return pairs.length ? `?${pairs.join('&')}` : '';
+    }
+    
+    /**
+     * Turns a navigation target into a URL: a path string, a named
+     * route `{ name, params, query }` or `{ path, query }`.
+     * @private
+     */
+    function toUrl(target) {
+        if (typeof target === 'string') return target;
+        if (target.name !== undefined) return api.url(target.name, target.params, target.query);
+        if (!target.query) return target.path;
+        const { path, hash } = splitUrl(target.path);
+        return path + stringifyQuery(target.query) + (hash ? `#${hash}` : '');
+    }
+
+    function joinPaths(parent, child) {
+        const joined = `${parent.replace(/\/+$/, '')}/${child.replace(/^\/+/, '')}`;
+        return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+    }
+    
+    /**
+     * Creates a route record and registers a matcher for it and each of
+     * its descendants. Children are registered before their parent so
+     * the most specific route wins.
+     * @private
+     */
+    function createRoute(path, definition, parent = null) {
+        const routeConfig = typeof definition === 'function'
+            ? { handler: definition }
+            : { ...definition };
+        const children = routeConfig.children || [];
+        
+        if (routeConfig.handler !== undefined && typeof routeConfig.handler !== 'function') {
+            throw new Error('Route handler must be a function');
+        }
+        if (!routeConfig.handler && !routeConfig.lazy && children.length === 0) {
+            throw new Error('Route handler must be a function');
+        }
+        
+        const fullPath = parent ? joinPaths(parent.fullPath, path) : (path || '/');
+        const route = {
+            ...routeConfig,
+            path,
+            fullPath,
+            ...compilePath(fullPath),
+            handler: routeConfig.handler || null,
+            middleware: routeConfig.middleware || [],
+            parent,
+            children: []
+        };
+        
+        const chain = [];
+        for (let node = route; node; node = node.parent) chain.unshift(node);
+        
+        if (route.name !== undefined) {
+            if (namedRoutes.has(route.name)) {
+                reportWarning('router', `Route name "${route.name}" is already in use`);
+            }
+            namedRoutes.set(route.name, route);
+        }
+        
+        route.children = children.map(child => createRoute(child.path || '', child, route));
+        matchers.push({ regex: route.regex, chain });
+        return route;
+    }
+    
+    function matchPath(path) {
+        for (const { regex, chain } of matchers) {
+            const match = path.match(regex);
+            if (match) {
+                const params = {};
+                Object.entries(match.groups || {}).forEach(([name, value]) => {
+                    if (value !== undefined) params[name] = safeDecode(value);
+                });
+                return { chain, params };
+            }
+        }
+        return null;
+    }
+    
+    function pickParams(params, names) {
+        const picked = {};
+        names.forEach(name => { picked[name] = params[name]; });
+        return picked;
+    }
+    
+    function sameParams(a, b) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    }
+    
+    function resolveElement(target, scope = document) {
+        if (!target) return null;
+        if (typeof target !== 'string') return target;
+        return scope.querySelector(target) || document.querySelector(target);
+    }
+    
+    /**
+     * Finds the element route `index` of the chain renders into: the
+     * router outlet for top-level routes, otherwise the outlet inside
+     * the parent's rendered layout.
+     * @private
+     */
+    function resolveOutlet(chain, index, rendered) {
+        if (index === 0) return resolveElement(config.outlet);
+        const parent = chain[index - 1];
+        const scope = rendered[index - 1]?.outlet || document;
+        return resolveElement(parent.outlet || '[data-aether-outlet]', scope);
+    }
+    
+    /**
+     * Works out which levels of a matched chain need rendering. Unchanged
+     * parent layouts are kept. The leaf re-runs when it was already the
+     * leaf (e.g. only the query changed); a layout that becomes the leaf
+     * just has its child outlet cleared (`collapse`).
+     * @private
+     */
+    function planRender(match) {
+        const { chain, params } = match;
+        const levels = chain.map(route => ({ route, params: pickParams(params, route.paramNames) }));
+        
+        let start = 0;
+        while (start < chain.length &&
+            currentMatches[start] &&
+            currentMatches[start].route === chain[start] &&
+            sameParams(currentMatches[start].params, levels[start].params)) {
+            start++;
+        }
+        
+        const collapse = start === chain.length && currentMatches.length > chain.length;
+        return { levels, collapse, start: collapse ? chain.length : Math.min(start, chain.length - 1), data: [] };
+    }
+    
+    /**
+     * Resolves a lazy route on first visit, caching the module promise.
+     * The module's default export (or the module itself) is a handler
+     * or a { handler, loader } object. Failed loads are retried next time.
+     * @private
+     */
+    function resolveLazy(route) {
+        if (!route.lazy || route.handler) return null;
+        if (!route.lazyPromise) {
+            route.lazyPromise = Promise.resolve()
+                .then(() => route.lazy())
+                .then(module => {
+                    const exported = module && module.default !== undefined ? module.default : module;
+                    const definition = typeof exported === 'function' ? { handler: exported } : exported;
+                    if (!definition || typeof definition.handler !== 'function') {
+                        throw new Error(`Lazy route ${route.fullPath} did not export a handler`);
+                    }
+                    route.handler = definition.handler;
+                    if (definition.loader && !route.loader) route.loader = definition.loader;
+                })
+                .catch(error => {
+                    route.lazyPromise = null;
+                    throw error;
+                });
+        }
+        return route.lazyPromise;
+    }
+    
+    /**
+     * Runs a step for each level from `start` in parallel, recording the
+     * first level to fail in `plan.failure` for error boundaries.
+     * @private
+     */
+    function runLevels(match, plan, start, operation, step) {
+        return Promise.all(match.chain.slice(start).map((route, offset) =>
+            new Promise(resolve => resolve(step(route))).catch(error => {
+                if (!plan.failure) plan.failure = { level: start + offset, rendered: plan.start, operation };
+                throw error;
+            })
+        ));
+    }
+    
+    /**
+     * Resolves lazy modules, then runs the loaders of the levels about
+     * to render in parallel. Returns data indexed by chain level.
+     * @private
+     */
+    async function loadChain(match, context, plan) {
+        await runLevels(match, plan, plan.start, 'lazy', resolveLazy);
+        
+        const results = await runLevels(match, plan, plan.start, 'loader', route =>
+            route.loader ? route.loader({ ...context, route }) : undefined
+        );
+        const data = [];
+        results.forEach((result, offset) => { data[plan.start + offset] = result; });
+        return data;
+    }
+    
+    /**
+     * Runs handlers from the first changed level down to the leaf,
+     * stopping if a newer navigation starts.
+     * @private
+     */
+    async function renderChain(match, context, plan, id) {
+        const { chain } = match;
+        
+        if (plan.collapse) {
+            const layout = currentMatches[chain.length - 1];
+            const childOutlet = resolveElement(layout.route.outlet || '[data-aether-outlet]',
+                layout.outlet || document);
+            if (childOutlet) childOutlet.replaceChildren();
+            currentMatches = currentMatches.slice(0, chain.length);
+            return;
+        }
+        
+        const rendered = currentMatches.slice(0, plan.start);
+        currentMatches = rendered; // Partially rendered until the loop completes
+        
+        for (let index = plan.start; index < chain.length; index++) {
+            if (id !== navigationId) return;
+            const route = chain[index];
+            const outlet = resolveOutlet(chain, index, rendered);
+            const data = plan.data[index];
+            if (route.handler) {
+                try {
+                    await route.handler({ ...context, route, outlet, depth: index, data });
+                } catch (error) {
+                    plan.failure = { level: index, rendered: index, operation: 'handler' };
+                    throw error;
+                }
+            }
+            rendered.push({ ...plan.levels[index], outlet, data, controller: plan.controller });
+        }
+    }
+    
+    /**
+     * Runs guards in order. Returns true to continue, false to cancel,
+     * or a redirect target (a path or { path, replace }). An `id` of
+     * null (server resolution) is never superseded.
+     * @private
+     */
+    async function runGuards(guards, to, from, id, label = 'Navigation guard') {
+        for (const guard of guards) {
+            let result;
+            try {
+                result = await guard(to, from);
+            } catch (error) {
+                reportError(error, { module: 'router', operation: 'guard', message: `${label} error`, route: to.path });
+                return false;
+            }
+            if (id !== null && id !== navigationId) return false; // Superseded by a newer navigation
+            if (result === false) return false; // Stop execution
+            if (typeof result === 'string' || (result && typeof result.path === 'string')) {
+                return result;
+            }
+        }
+        return true;
+    }
+    
+    function emit(eventName, detail) {
+        (listeners.get(eventName) || []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                reportError(error, {
+                    module: 'router',
+                    operation: 'listener',
+                    message: `Router ${eventName} listener error`
+                });
+            }
+        });
+    }
+    
+    /**
+     * Aborts signals of navigations whose levels are no longer rendered.
+     * @private
+     */
+    function releaseControllers(previousMatches) {
+        const held = new Set(currentMatches.map(entry => entry.controller));
+        previousMatches.forEach(({ controller }) => {
+            if (controller && !held.has(controller)) controller.abort();
+        });
+    }
+    
+    // Used when no error handler is set: a minimal alert in the router outlet
+    function defaultErrorView({ outlet }) {
+        if (!outlet) return;
+        const view = document.createElement('div');
+        view.setAttribute('role', 'alert');
+        view.className = 'aether-route-error';
+        view.textContent = 'Something went wrong loading this page.';
+        outlet.replaceChildren(view);
+    }
+    
+    /**
+     * Finds the error boundary for a failure at `level`: the nearest
+     * route at or above it with `errorBoundary`. Only routes whose parent
+     * layout is rendered (index <= `renderedCount`) qualify.
+     * @private
+     */
+    function findBoundary(chain, level, renderedCount = level) {
+        for (let index = Math.min(level, renderedCount); index >= 0; index--) {
+            if (chain[index].errorBoundary) return index;
+        }
+        return -1;
+    }
+    
+    /**
+     * Reports a failed lazy load, loader or handler and renders the
+     * nearest route error boundary in place of the failed level, keeping
+     * the layouts above it. Without one, the router's error handler
+     * renders into the router outlet.
+     * @private
+     */
+    function renderError(context, error, match, failure) {
+        const { chain } = match;
+        failure = failure || { level: chain.length - 1, rendered: 0, operation: 'handler' };
+        const { level, operation } = failure;
+        const failedRoute = chain[level];
+        reportError(error, {
+            module: 'router',
+            operation,
+            message: `Route ${operation} error for ${failedRoute.fullPath}`,
+            route: failedRoute.fullPath
+        });
+        
+        // Loaders fail before anything renders, so only the unchanged layouts are on screen
+        const boundary = findBoundary(chain, level, failure.rendered);
+        if (boundary !== -1) {
+            const route = chain[boundary];
+            currentMatches = currentMatches.slice(0, boundary);
+            const outlet = resolveOutlet(chain, boundary, currentMatches);
+            try {
+                route.errorBoundary({ ...context, route, outlet, depth: boundary, error, failedRoute });
+                emit('navigationerror', { to: context, error });
+                return;
+            } catch (boundaryError) {
+                reportError(boundaryError, {
+                    module: 'router',
+                    operation: 'errorBoundary',
+                    message: 'Error boundary failed',
+                    route: route.fullPath
+                });
+            }
+        }
+        
+        currentMatches = [];
+        try {
+            (errorHandler || defaultErrorView)({ ...context, outlet: resolveElement(config.outlet), error, failedRoute });
+        } catch (handlerError) {
+            reportError(handlerError, {
+                module: 'router',
+                operation: 'errorHandler',
+                message: 'Error handler failed',
+                route: context.path
+            });
+        }
+        emit('navigationerror', { to: context, error });
+    }
+    
+    function createContext(path, search, hash = '') {
+        const context = { path, params: {}, query: parseQuery(search), hash, matched: [] };
+        
+        // Find matching route
+        const match = matchPath(path);
+        if (match) {
+            context.params = match.params;
+            context.matched = match.chain.map(route => ({
+                route,
+                path: route.fullPath,
+                params: pickParams(match.params, route.paramNames)
+            }));
+        }
+        return { context, match };
+    }
+    
+    function splitUrl(url) {
+        const hashIndex = url.indexOf('#');
+        const withoutHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const hash = hashIndex === -1 ? '' : safeDecode(url.slice(hashIndex + 1));
+        const queryIndex = withoutHash.indexOf('?');
+        return queryIndex === -1
+            ? { path: withoutHash || '/', search: '', hash }
+            : { path: withoutHash.slice(0, queryIndex) || '/', search: withoutHash.slice(queryIndex), hash };
+    }
+    
+    function hrefFor(url) {
+        return config.hashMode ? `#${url}` : config.baseUrl + url;
+    }
+    
+    function writeUrl(url, replace) {
+        if (!replace) historyIndex++;
+        const state = { aether: { index: historyIndex } };
+        if (replace) {
+            window.history.replaceState(state, '', hrefFor(url));
+        } else {
+            window.history.pushState(state, '', hrefFor(url));
+        }
+    }
+    
+    /**
+     * Remembers the scroll position of the current history entry, also
+     * in history.state so it survives a reload.
+     * @private
+     */
+    function saveScroll(writeState = true) {
+        const position = { left: window.scrollX, top: window.scrollY };
+        scrollPositions.set(historyIndex, position);
+        if (writeState) {
+            const state = window.history.state || {};
+            window.history.replaceState({ ...state, aether: { ...state.aether, index: historyIndex, scroll: position } }, '');
+        }
+    }
+    
+    function onPageHide() {
+        saveScroll();
+    }
+    
+    /**
+     * Scrolls after a navigation. Back/forward restores the saved
+     * position; other navigations go to the #fragment or the top.
+     * A route's `scrollBehavior` (or the router option) may be a
+     * ScrollBehavior string for the default handling, or a function
+     * (to, from, savedPosition) returning { top, left, behavior },
+     * { el, behavior } or false to leave the scroll position alone.
+     * @private
+     */
+    async function applyScroll(context, from, source, route) {
+        const saved = source === 'pop'
+            ? scrollPositions.get(historyIndex) || window.history.state?.aether?.scroll || null
+            : null;
+        const option = route && route.scrollBehavior !== undefined ? route.scrollBehavior : config.scrollBehavior;
+        
+        let position;
+        if (typeof option === 'function') {
+            try {
+                position = await option(context, from, saved);
+            } catch (error) {
+                reportError(error, {
+                    module: 'router',
+                    operation: 'scrollBehavior',
+                    message: 'scrollBehavior error',
+                    route: context.path
+                });
+                return;
+            }
+        } else if (option === false) {
+            return;
+        } else {
+            const anchor = context.hash && document.getElementById(context.hash);
+            position = saved || (anchor ? { el: anchor } : { top: 0, left: 0 });
+            if (option) position = { behavior: option, ...position };
+        }
+        if (!position) return;
+        
+        if (position.el) {
+            const element = resolveElement(position.el);
+            if (element) element.scrollIntoView({ behavior: position.behavior || 'auto' });
+            return;
+        }
+        window.scrollTo({ top: position.top || 0, left: position.left || 0, behavior: position.behavior || 'auto' });
+    }
+    
+    /**
+     * Transition options for rendering a route, or null. A route's
+     * `transition` (a name, { name, duration } or false) overrides the
+     * router's `transitions` option.
+     * @private
+     */
+    function transitionFor(route, direction) {
+        if (typeof document === 'undefined') return null;
+        const option = route && route.transition !== undefined ? route.transition : config.transitions;
+        if (!option) return null;
+        const settings = typeof option === 'object' ? option : { name: typeof option === 'string' ? option : undefined };
+        return {
+            ...settings,
+            direction,
+            target: settings.target || resolveElement(config.outlet) || undefined
+        };
+    }
+    
+    /**
+     * Moves focus to the main region and announces the new page
+     * through a polite live region.
+     * @private
+     */
+    function announceNavigation(context) {
+        const region = config.focus ? resolveElement(config.focus) : null;
+        if (region) {
+            if (!region.hasAttribute('tabindex')) region.setAttribute('tabindex', '-1');
+            region.focus({ preventScroll: true });
+        }
+        
+        if (!config.announce) return;
+        const message = typeof config.announce === 'function'
+            ? config.announce(context)
+            : document.title || context.path;
+        if (!message) return;
+        
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            liveRegion.setAttribute('data-aether-announcer', '');
+            liveRegion.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+                'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+            document.body.appendChild(liveRegion);
+        }
+        // Cleared first so repeating the same title is still announced
+        liveRegion.textContent = '';
+        requestAnimationFrame(() => {
+            if (liveRegion) liveRegion.textContent = message;
+        });
+    }
+    
+    /**
+     * Puts the URL back after a blocked back/forward navigation.
+     * @private
+     */
+    function restoreUrl() {
+        const index = window.history.state?.aether?.index;
+        if (typeof index === 'number' && index !== historyIndex) {
+            ignoreNextPop = true;
+            window.history.go(historyIndex - index);
+        } else if (currentUrl !== null) {
+            window.history.replaceState({ aether: { index: historyIndex } }, '', hrefFor(currentUrl));
+        }
+    }
+    
+    /**
+     * Resolves a navigation: leave guards, global middleware and
+     * beforeEach guards, then beforeEnter/middleware of the routes being
+     * rendered, followed by the URL update, rendering and afterEach.
+     * `source` is 'push' or 'replace' for programmatic navigation and
+     * 'pop' when the browser already changed the URL.
+     * @private
+     */
+    async function resolveNavigation(url, source, redirects = 0, startedAt = Date.now()) {
+        const id = ++navigationId;
+        const { path, search, hash } = splitUrl(url);
+        const { context, match } = createContext(path, search, hash);
+        const from = currentContext;
+        const plan = match ? planRender(match) : null;
+        
+        // A newer navigation makes the pending one stale
+        const stale = activeNavigation?.controller;
+        if (stale && !currentMatches.some(entry => entry.controller === stale)) stale.abort();
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        activeNavigation = { id, controller };
+        if (plan) plan.controller = controller;
+        context.signal = controller ? controller.signal : undefined;
+        // Redirect hops continue the navigation that already started
+        if (redirects === 0) emit('navigationstart', { to: context, from });
+        
+        const finish = (completed) => {
+            if (id === navigationId) {
+                activeNavigation = null;
+                emit('navigationend', { to: context, from, completed, redirects });
+                if (isDebugging()) {
+                    emitDebug('router:navigation', {
+                        router: api, url, source, completed, redirects, at: startedAt, duration: Date.now() - startedAt
+                    });
+                }
+            }
+            return completed;
+        };
+        
+        // Routes that are no longer part of the chain, innermost first
+        const leaving = currentMatches
+            .filter((entry, index) => !match || match.chain[index] !== entry.route)
+            .reverse();
+        const leaveGuards = [
+            ...leaving.flatMap(entry => [].concat(entry.route.beforeLeave || [])),
+            ...beforeLeaveGuards
+        ];
+        const entering = plan ? match.chain.slice(plan.start) : [];
+        const enterGuards = entering.flatMap(route => [
+            ...route.middleware,
+            ...[].concat(route.beforeEnter || [])
+        ]);
+        
+        let result = await runGuards(leaveGuards, context, from, id, 'Leave guard');
+        if (result === true) result = await runGuards(middleware, context, from, id, 'Middleware');
+        if (result === true) result = await runGuards(beforeEachGuards, context, from, id);
+        if (result === true) result = await runGuards(enterGuards, context, from, id, 'Route middleware');
+        if (id !== navigationId) return false;
+        
+        if (result !== true) {
+            if (result === false) {
+                if (source === 'pop') restoreUrl();
+                return finish(false);
+            }
+            if (redirects >= 10) {
+                reportError(new Error(`Too many redirects navigating to ${url}`), {
+                    module: 'router',
+                    operation: 'redirect',
+                    message: 'Navigation failed',
+                    route: url
+                });
+                return finish(false);
+            }
+            const target = typeof result === 'string' ? { path: result } : result;
+            // The blocked URL was never pushed, so a push redirect still pushes
+            const redirectSource = target.replace || source !== 'push' ? 'replace' : 'push';
+            let redirectUrl;
+            try {
+                redirectUrl = toUrl(target);
+            } catch (error) {
+                reportError(error, {
+                    module: 'router',
+                    operation: 'redirect',
+                    message: 'Invalid redirect',
+                    route: url
+                });
+                return finish(false);
+            }
+            return resolveNavigation(redirectUrl, redirectSource, redirects + 1, startedAt);
+        }
+        
+        // Server-rendered pages reuse the loader data the server serialized
+        const hydrating = hydration;
+        hydration = null;
+        if (hydrating) context.hydrating = true;
+        
+        // Lazy modules and loaders run before the URL changes
+        let loadError = null;
+        if (match && hydrating && hydrating.data) {
+            plan.data = hydrating.data;
+            try {
+                await runLevels(match, plan, 0, 'lazy', resolveLazy);
+            } catch (error) {
+                loadError = error;
+            }
+            if (id !== navigationId) return false;
+        } else if (match) {
+            try {
+                plan.data = await loadChain(match, context, plan);
+            } catch (error) {
+                loadError = error;
+            }
+            if (id !== navigationId) return false;
+        }
+        
+        const previousIndex = historyIndex;
+        if (source === 'push' || source === 'replace') {
+            if (currentContext) saveScroll();
+            writeUrl(url, source === 'replace');
+        } else {
+            // history.state already belongs to the entry being entered
+            if (currentContext) saveScroll(false);
+            const index = window.history.state?.aether?.index;
+            if (typeof index === 'number') historyIndex = index;
+        }
+        currentUrl = path + search;
+        currentContext = context;
+        const previousMatches = currentMatches;
+        const leaf = match ? match.chain[match.chain.length - 1] : null;
+        
+        const commit = async () => {
+            if (match && loadError) {
+                currentRoute = leaf;
+                renderError(context, loadError, match, plan.failure);
+            } else if (match) {
+                currentRoute = leaf;
+                try {
+                    await renderChain(match, context, plan, id);
+                } catch (error) {
+                    renderError(context, error, match, plan.failure);
+                }
+            } else {
+                currentRoute = null;
+                currentMatches = [];
+                notFoundHandler(context);
+            }
+            releaseControllers(previousMatches);
+            if (id !== navigationId || typeof document === 'undefined') return;
+            
+            const title = currentRoute?.title;
+            if (title) document.title = typeof title === 'function' ? title(context) : title;
+            // A hydrated landing page keeps the position the browser restored
+            if (!hydrating) await applyScroll(context, from, source, currentRoute);
+        };
+        
+        const direction = source === 'pop'
+            ? (historyIndex < previousIndex ? 'back' : 'forward')
+            : (source === 'replace' ? 'replace' : 'forward');
+        const transitionOptions = from ? transitionFor(leaf, direction) : null;
+        if (transitionOptions) {
+            try {
+                await transition(commit, transitionOptions);
+            } catch (error) {
+                reportError(error, {
+                    module: 'router',
+                    operation: 'transition',
+                    message: 'View transition error',
+                    route: url
+                });
+            }
+        } else {
+            await commit();
+        }
+        if (id !== navigationId) return false;
+        // The landing page keeps the browser's default focus
+        if (from && typeof document !== 'undefined') announceNavigation(context);
+        
+        afterEachHooks.forEach(hook => {
+            try {
+                hook(context, from);
+            } catch (error) {
+                reportError(error, {
+                    module: 'router',
+                    operation: 'afterEach',
+                    message: 'afterEach hook error',
+                    route: url
+                });
+            }
+        });
+        return finish(true);
+    }
+    
+    // In hash mode the query lives inside the hash: #/path?x=1
+    function readLocation() {
+        if (config.hashMode) {
+            return window.location.hash.slice(1) || '/';
+        }
+        return (window.location.pathname.replace(config.baseUrl, '') || '/') + window.location.search;
+    }
+    
+    function checkRoutes() {
+        if (ignoreNextPop) {
+            ignoreNextPop = false;
+            return Promise.resolve(false);
+        }
+        return resolveNavigation(readLocation(), 'pop');
+    }
+    
+    function addHook(list, fn, label) {
+        if (typeof fn !== 'function') {
+            throw new Error(`${label} must be a function`);
+        }
+        list.push(fn);
+        return () => {
+            const index = list.indexOf(fn);
+            if (index !== -1) list.splice(index, 1);
+        };
+    }
+    
+    const api = {
+        /**
+         * Registers a route. The second argument is a handler function or
+         * a route config { handler, children, outlet, middleware,
+         * beforeEnter, beforeLeave }.
+         */
+        add: (path, handler, routeMiddleware = []) => {
+            const definition = typeof handler === 'function'
+                ? { handler, middleware: routeMiddleware }
+                : { middleware: routeMiddleware, ...handler };
+            routes.push(createRoute(path, definition));
+            
+            return api; // Enable chaining
+        },
+        
+        use: (middlewareFn) => {
+            if (typeof middlewareFn !== 'function') {
+                throw new Error('Middleware must be a function');
+            }
+            middleware.push(middlewareFn);
+            return api;
+        },
+        
+        // Navigation guards: (to, from) => true | false | redirect path | { path, replace }
+        beforeEach: (guard) => addHook(beforeEachGuards, guard, 'Guard'),
+        afterEach: (hook) => addHook(afterEachHooks, hook, 'Hook'),
+        beforeLeave: (guard) => addHook(beforeLeaveGuards, guard, 'Guard'),
+        
+        setNotFound: (handler) => {
+            if (typeof handler !== 'function') {
+                throw new Error('Not found handler must be a function');
+            }
+            notFoundHandler = handler;
+            return api;
+        },
+        
+        // Renders failed lazy loads, loaders and handlers; context.error holds the error
+        setError: (handler) => {
+            if (typeof handler !== 'function') {
+                throw new Error('Error handler must be a function');
+            }
+            errorHandler = handler;
+            return api;
+        },
+        
+        /**
+         * Listens to router events: 'navigationstart' and 'navigationend'
+         * ({ to, from, completed }) and 'navigationerror' ({ to, error }).
+         * @returns {Function} Unsubscribe function.
+         */
+        on: (eventName, listener) => {
+            if (!listeners.has(eventName)) listeners.set(eventName, []);
+            return addHook(listeners.get(eventName), listener, 'Listener');
+        },
+        
+        get isNavigating() {
+            return activeNavigation !== null;
+        },
+        
+        // Accepts a path or a target: { name, params, query } / { path, query }
+        navigate: (target, options = {}) => {
+            api.navigation = resolveNavigation(toUrl(target), options.replace ? 'replace' : 'push');
+            return api;
+        },
+        
+        /**
+         * Builds the URL of a named route, encoding params and query.
+         * @param {string} name - Route name.
+         * @param {Object} [params] - Route params.
+         * @param {Object} [query] - Query values; arrays repeat the key.
+         * @returns {string} Path usable with navigate() and link hrefs.
+         */
+        url: (name, params = {}, query = {}) => {
+            const route = namedRoutes.get(name);
+            if (!route) {
+                throw new Error(`No route named "${name}"`);
+            }
+            return buildPath(route, params) + stringifyQuery(query);
+        },
+        
+        /**
+         * Updates the query string without re-resolving the route.
+         * null/undefined values remove keys. Replaces the history entry
+         * unless { push: true } is given.
+         */
+        setQuery: (partial, options = {}) => {
+            if (!currentContext) {
+                reportWarning('router', 'setQuery called before the router resolved a route');
+                return api;
+            }
+            const query = { ...currentContext.query };
+            Object.keys(partial).forEach(key => {
+                if (partial[key] === undefined || partial[key] === null) {
+                    delete query[key];
+                } else {
+                    // Stored as strings, the way they read back from the URL
+                    query[key] = Array.isArray(partial[key]) ? partial[key].map(String) : String(partial[key]);
+                }
+            });
+            
+            const url = currentContext.path + stringifyQuery(query);
+            // Keep the fragment; in hash mode it follows the route inside location.hash
+            const location = config.hashMode ? window.location.hash.slice(1) : window.location.hash;
+            const fragment = location.includes('#') ? location.slice(location.indexOf('#')) : '';
+            writeUrl(url + fragment, !options.push);
+            currentUrl = url;
+            currentContext = { ...currentContext, query };
+            emit('querychange', { query, context: currentContext });
+            return api;
+        },
+        
+        getQuery: () => (currentContext ? { ...currentContext.query } : {}),
+        
+        // Promise for the latest navigation, resolving to whether it completed
+        navigation: Promise.resolve(true),
+        
+        getCurrentRoute: () => currentRoute,
+        
+        /**
+         * Resolves a URL without touching window, history or the DOM,
+         * e.g. to render a page on the server. Runs middleware,
+         * beforeEach and route guards, loaders and handlers. Handlers
+         * run innermost first with `server: true`, `outlet: null` and
+         * `children` set to the nested route's result, so layouts can
+         * wrap it.
+         * @param {string} url - Path with optional query and hash.
+         * @returns {Promise<object>} { status (200, 302, 403, 404 or 500),
+         *   redirect, error, title, context, matched, result }.
+         */
+        resolve: async (url) => {
+            const { path, search, hash } = splitUrl(toUrl(url));
+            const { context, match } = createContext(path, search, hash);
+            context.server = true;
+            const outcome = { status: 200, redirect: null, error: null, title: null, context, matched: [], result: undefined };
+            
+            // A failed level renders its nearest error boundary, if any, as the result
+            const fail = async (status, error, failure = null) => {
+                outcome.status = status;
+                outcome.error = error;
+                if (failure) {
+                    const failedRoute = match.chain[failure.level];
+                    reportError(error, {
+                        module: 'router',
+                        operation: failure.operation,
+                        message: `Route ${failure.operation} error for ${failedRoute.fullPath}`,
+                        route: failedRoute.fullPath
+                    });
+                    const boundary = findBoundary(match.chain, failure.level);
+                    if (boundary !== -1) {
+                        const route = match.chain[boundary];
+                        try {
+                            outcome.result = await route.errorBoundary({
+                                ...context, route, outlet: null, depth: boundary, error, failedRoute, server: true
+                            });
+                            return outcome;
+                        } catch (boundaryError) {
+                            reportError(boundaryError, {
+                                module: 'router',
+                                operation: 'errorBoundary',
+                                message: 'Error boundary failed',
+                                route: route.fullPath
+                            });
+                        }
+                    }
+                }
+                const handler = status === 404 ? notFoundHandler : errorHandler;
+                if (handler) {
+                    try {
+                        outcome.result = await handler(error ? { ...context, error } : context);
+                    } catch (handlerError) {
+                        reportError(handlerError, {
+                            module: 'router',
+                            operation: 'errorHandler',
+                            message: 'Error handler failed',
+                            route: path
+                        });
+                    }
+                }
+                return outcome;
+            };
+            if (!match) return fail(404, null);
+            
+            const enterGuards = match.chain.flatMap(route => [
+                ...route.middleware,
+                ...[].concat(route.beforeEnter || [])
+            ]);
+            let result = await runGuards(middleware, context, null, null, 'Middleware');
+            if (result === true) result = await runGuards(beforeEachGuards, context, null, null);
+            if (result === true) result = await runGuards(enterGuards, context, null, null, 'Route middleware');
+            if (result === false) {
+                outcome.status = 403;
+                return outcome;
+            }
+            if (result !== true) {
+                outcome.status = 302;
+                try {
+                    outcome.redirect = toUrl(typeof result === 'string' ? { path: result } : result);
+                } catch (error) {
+                    reportError(error, {
+                        module: 'router',
+                        operation: 'redirect',
+                        message: 'Invalid redirect',
+                        route: path
+                    });
+                    return fail(500, error);
+                }
+                return outcome;
+            }
+            
+            const plan = { start: 0 };
+            let data;
+            try {
+                data = await loadChain(match, context, plan);
+            } catch (error) {
+                return fail(500, error, plan.failure);
+            }
+            
+            const levels = match.chain.map((route, index) => ({
+                route,
+                path: route.fullPath,
+                params: pickParams(match.params, route.paramNames),
+                data: data[index],
+                result: undefined
+            }));
+            let index = levels.length - 1;
+            try {
+                let children;
+                for (; index >= 0; index--) {
+                    const { route } = levels[index];
+                    if (route.handler) {
+                        children = await route.handler({
+                            ...context, route, outlet: null, depth: index, data: data[index], children, server: true
+                        });
+                    }
+                    levels[index].result = children;
+                }
+                outcome.result = children;
+            } catch (error) {
+                return fail(500, error, { level: index, operation: 'handler' });
+            }
+            
+            const title = match.chain[match.chain.length - 1].title;
+            if (title) outcome.title = typeof title === 'function' ? title(context) : title;
+            outcome.matched = levels;
+            return outcome;
+        },
+
+        // The rendered route chain, outermost layout first
+        getMatched: () => currentMatches.map(({ route, params, data }) => ({ route, path: route.fullPath, params, data })),
+        
+        // Registered routes (flattened) and the current URL, for aether.devtools
+        _inspect: () => {
+            const flatten = (list) => list.flatMap(route => [route, ...flatten(route.children)]);
+            return {
+                routes: flatten(routes).map(route => ({
+                    path: route.fullPath,
+                    name: route.name ?? null,
+                    lazy: Boolean(route.lazy),
+                    loader: Boolean(route.loader),
+                    guards: route.middleware.length + [].concat(route.beforeEnter || []).length
+                })),
+                url: currentUrl,
+                mode: config.hashMode ? 'hash' : 'history'
+            };
+        },
+
+        /**
+         * Starts the router. With { hydrate: true } the landing page is
+         * treated as server-rendered: handlers receive
+         * `context.hydrating` so they can attach to the existing markup,
+         * and loaders are skipped when serializeState() included the
+         * route data. { hydrate: { data } } passes the data directly.
+         */
+        init: (initOptions = {}) => {
+            if (isInitialized) {
+                reportWarning('router', 'Router already initialized');
+                return api;
+            }
+            
+            if (config.hashMode) {
+                window.addEventListener('hashchange', checkRoutes);
+            } else {
+                window.addEventListener('popstate', checkRoutes);
+            }
+            window.addEventListener('pagehide', onPageHide);
+            if ('scrollRestoration' in window.history) {
+                window.history.scrollRestoration = 'manual';
+            }
+            
+            // Tag the landing entry so blocked back/forward can be undone
+            const index = window.history.state?.aether?.index;
+            if (typeof index === 'number') {
+                historyIndex = index;
+            } else {
+                window.history.replaceState({ ...window.history.state, aether: { index: historyIndex } }, '');
+            }
+            
+            // Handle navigation links
+            document.addEventListener('click', onLinkClick);
+            
+            if (initOptions.hydrate) {
+                const data = initOptions.hydrate.data || readServerState()?.routes;
+                hydration = { data: Array.isArray(data) ? data : null };
+            }
+            
+            isInitialized = true;
+            routers.add(api);
+            api.navigation = resolveNavigation(readLocation(), 'pop');
+            return api;
+        },
+        
+        destroy: () => {
+            if (!isInitialized) return;
+            
+            if (config.hashMode) {
+                window.removeEventListener('hashchange', checkRoutes);
+            } else {
+                window.removeEventListener('popstate', checkRoutes);
+            }
+            document.removeEventListener('click', onLinkClick);
+            window.removeEventListener('pagehide', onPageHide);
+            if ('scrollRestoration' in window.history) {
+                window.history.scrollRestoration = 'auto';
+            }
+            if (liveRegion) {
+                liveRegion.remove();
+                liveRegion = null;
+            }
+            
+            routers.delete(api);
+            navigationId++; // Cancel any in-flight navigation
+            activeNavigation?.controller?.abort();
+            currentMatches.forEach(({ controller }) => controller?.abort());
+            activeNavigation = null;
+            isInitialized = false;
+            currentRoute = null;
+            currentMatches = [];
+            currentContext = null;
+        }
+    };
+    
+    function onLinkClick(e) {
+        const link = e.target.closest('a[data-aether-link]');
+        if (link && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            const path = link.getAttribute('href');
+            if (path) {
+                api.navigate(path);
+            }
+        }
+    }
+    
+    return api;
+}
@@ -0,0 +1,270 @@
+// --- Module: Server Rendering ---
+
+import { coerceType, componentDefinitions, evaluate, interpolate, shadowMarkup } from './components.js';
+import { deepClone } from './utilities.js';
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']); // Content is neither decoded nor compiled
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['textarea', 'title']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+const parsedTemplates = new Map(); // Template source -> node tree
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(point);
+        }
+        return Object.prototype.hasOwnProperty.call(ENTITIES, code) ? ENTITIES[code] : entity;
+    });
+}
+
+function escapeHTML(value, inAttribute = false) {
+    const text = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return inAttribute ? text.replace(/"/g, '&quot;') : text;
+}
+
+/**
+ * Parses template markup into a light node tree for server rendering:
+ * { type: 'element', name, attrs, children }, { type: 'text', value }
+ * and { type: 'comment', value }. Handles the subset of HTML templates
+ * use; it does not apply the browser's implied-tag rules.
+ * @private
+ */
+function parseHTML(source) {
+    if (parsedTemplates.has(source)) return parsedTemplates.get(source);
+    
+    const root = { children: [] };
+    const stack = [root];
+    const TAG = /<!--([\s\S]*?)-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+    const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let lastIndex = 0;
+    let match;
+    
+    const addText = (text) => {
+        if (text) stack[stack.length - 1].children.push({ type: 'text', value: decodeEntities(text) });
+    };
+    
+    while ((match = TAG.exec(source))) {
+        addText(source.slice(lastIndex, match.index));
+        lastIndex = TAG.lastIndex;
+        const [, comment, closing, tagName, attributeSource, selfClosing] = match;
+        const parent = stack[stack.length - 1];
+        
+        if (comment !== undefined) {
+            parent.children.push({ type: 'comment', value: comment });
+            continue;
+        }
+        const name = tagName.toLowerCase();
+        if (closing) {
+            const index = stack.map(node => node.name).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+        
+        const attrs = Array.from(attributeSource.matchAll(ATTRIBUTE), ([, attr, double, single, bare]) =>
+            [attr.toLowerCase(), decodeEntities(double ?? single ?? bare ?? '')]);
+        const element = { type: 'element', name, attrs, children: [] };
+        parent.children.push(element);
+        if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+        
+        if (RAW_TEXT_ELEMENTS.has(name) || ESCAPABLE_RAW_TEXT_ELEMENTS.has(name)) {
+            const end = source.toLowerCase().indexOf(`</${name}`, lastIndex);
+            const text = source.slice(lastIndex, end === -1 ? source.length : end);
+            if (text) {
+                element.children.push({ type: 'text', value: RAW_TEXT_ELEMENTS.has(name) ? text : decodeEntities(text) });
+            }
+            lastIndex = end === -1 ? source.length : source.indexOf('>', end) + 1;
+            TAG.lastIndex = lastIndex;
+            continue;
+        }
+        stack.push(element);
+    }
+    addText(source.slice(lastIndex));
+    
+    parsedTemplates.set(source, root.children);
+    return root.children;
+}
+
+function renderAttribute(name, value) {
+    return value === '' ? ` ${name}=""` : ` ${name}="${escapeHTML(value, true)}"`;
+}
+
+/**
+ * Renders parsed template nodes to a string the client template
+ * compiler can hydrate: `a-if` and `a-each` leave the same comment
+ * anchors, event bindings are dropped and `.prop` bindings are only
+ * kept for nested components.
+ * @private
+ */
+function renderNodes(nodes, scope, context) {
+    return nodes.map(node => {
+        if (node.type === 'text') return escapeHTML(interpolate(node.value, scope));
+        if (node.type === 'comment') return `<!--${node.value}-->`;
+        
+        const attrs = new Map(node.attrs);
+        if (attrs.has('a-each')) return renderEach(node, attrs, scope, context);
+        if (attrs.has('a-if')) {
+            const condition = attrs.get('a-if');
+            attrs.delete('a-if');
+            return '<!--a-if-->' + (evaluate(condition, scope) ? renderElement(node, attrs, scope, context) : '');
+        }
+        return renderElement(node, attrs, scope, context);
+    }).join('');
+}
+
+function renderEach(node, attrs, scope, context) {
+    const source = attrs.get('a-each');
+    const match = source.match(/^\s*(?:\(\s*(\w+)\s*(?:,\s*(\w+))?\s*\)|(\w+))\s+in\s+(.+)$/);
+    if (!match) {
+        throw new Error(`Aether.js: Invalid a-each expression "${source}"`);
+    }
+    const itemName = match[1] || match[3];
+    const indexName = match[2];
+    const filterExpr = attrs.get('a-if');
+    ['a-each', 'a-key', 'a-if'].forEach(attr => attrs.delete(attr));
+    
+    let html = '<!--a-each-->';
+    Array.from(evaluate(match[4], scope) || []).forEach((item, index) => {
+        const locals = { ...scope.locals, [itemName]: item };
+        if (indexName) locals[indexName] = index;
+        const itemScope = { host: scope.host, locals };
+        if (filterExpr && !evaluate(filterExpr, itemScope)) return;
+        html += renderElement(node, new Map(attrs), itemScope, context);
+    });
+    return html;
+}
+
+function renderElement(node, attrs, scope, context) {
+    const definition = componentDefinitions.get(node.name);
+    const rendered = new Map();
+    const props = {};
+    
+    attrs.forEach((value, name) => {
+        if (name.startsWith('@')) return;
+        if (name.startsWith(':')) {
+            const next = evaluate(value, scope);
+            if (next !== false && next !== null && next !== undefined) {
+                rendered.set(name.slice(1), next === true ? '' : String(next));
+            }
+        } else if (name.startsWith('.')) {
+            props[name.slice(1).replace(/-(\w)/g, (_, char) => char.toUpperCase())] = evaluate(value, scope);
+        } else {
+            rendered.set(name, value.includes('{{') ? interpolate(value, scope) : value);
+        }
+    });
+    
+    if (definition) {
+        return renderComponent(node.name, definition, {
+            props,
+            attrs: rendered,
+            children: (childContext) => renderNodes(node.children, scope, childContext),
+            context
+        });
+    }
+    
+    let html = `<${node.name}`;
+    rendered.forEach((value, name) => { html += renderAttribute(name, value); });
+    html += '>';
+    if (VOID_ELEMENTS.has(node.name)) return html;
+    
+    const children = RAW_TEXT_ELEMENTS.has(node.name)
+        ? node.children.map(child => child.value).join('')
+        : renderNodes(node.children, scope, context);
+    return `${html}${children}</${node.name}>`;
+}
+
+/**
+ * Renders a registered component with its host attributes, markers for
+ * hydration and its template (inside a Declarative Shadow DOM template
+ * unless the component uses light DOM).
+ * @private
+ */
+function renderComponent(name, definition, { props = {}, attrs = new Map(), children, context = {} }) {
+    const { template, styles, shadowMode, propList, state, methods, provided, injections } = definition;
+    
+    // A plain object standing in for the element: methods, props, state and context
+    const host = Object.assign({}, methods);
+    const serverProps = {}; // Non-attribute props, handed over as JSON
+    propList.forEach(prop => {
+        let value = props[prop.key];
+        if (value === undefined && prop.attribute && attrs.has(prop.attribute)) {
+            const attrValue = attrs.get(prop.attribute);
+            value = prop.fromAttribute ? prop.fromAttribute(attrValue, prop.type) : coerceType(attrValue, prop.type);
+        }
+        if (value !== undefined && !prop.reflect && !(prop.attribute && attrs.has(prop.attribute))) {
+            serverProps[prop.key] = value;
+        }
+        if (value === undefined) {
+            value = typeof prop.default === 'function' && prop.type !== Function
+                ? prop.default.call(host)
+                : prop.default;
+        }
+        if (value === undefined && prop.type === Boolean) value = false;
+        host[prop.key] = value;
+        
+        if (prop.reflect && !attrs.has(prop.attribute)) {
+            let attrValue = null;
+            if (prop.toAttribute) attrValue = prop.toAttribute(value, prop.type);
+            else if (value === null || value === undefined) attrValue = null;
+            else if (prop.type === Boolean) attrValue = value ? '' : null;
+            else attrValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            if (attrValue !== null) attrs.set(prop.attribute, attrValue);
+        }
+    });
+    
+    const initialState = typeof state === 'function' ? state.call(host) : deepClone(state);
+    host.state = initialState || {};
+    injections.forEach(({ local, key, default: fallback }) => {
+        host[local] = Object.prototype.hasOwnProperty.call(context, key) ? context[key] : fallback;
+    });
+    const values = typeof provided === 'function' ? provided.call(host) : provided;
+    const childContext = values ? { ...context, ...values } : context;
+    
+    const scope = { host, locals: {} };
+    let html = `<${name}`;
+    attrs.forEach((value, attr) => { html += renderAttribute(attr, value); });
+    html += ' data-aether-ssr=""';
+    if (Object.keys(serverProps).length) {
+        html += renderAttribute('data-aether-props', JSON.stringify(serverProps));
+    }
+    html += '>';
+    
+    const lightChildren = typeof children === 'function' ? children(childContext) : (children || '');
+    if (shadowMode) {
+        html += `<template shadowrootmode="${shadowMode}">` +
+            renderNodes(parseHTML(shadowMarkup(styles, template)), scope, childContext) +
+            `</template>${lightChildren}`;
+    } else {
+        // Light DOM components replace their children with the template
+        html += renderNodes(parseHTML(template), scope, childContext);
+    }
+    return `${html}</${name}>`;
+}
+
+/**
+ * Renders a component defined with define() to HTML, for example on a
+ * Node server. Shadow DOM components are output with Declarative
+ * Shadow DOM; the markup is hydrated when the component is defined in
+ * the browser. Nested components in the template are rendered too.
+ * @param {string} name - The component's tag name.
+ * @param {object} [options] - Render options.
+ * @param {object} [options.props] - Prop values.
+ * @param {object} [options.attrs] - Extra host attributes.
+ * @param {string} [options.children] - Light DOM markup (trusted, not escaped).
+ * @param {object} [options.context] - Context values available to `inject`.
+ * @returns {string} The component markup.
+ */
+export function renderToString(name, options = {}) {
+    const definition = componentDefinitions.get(name);
+    if (!definition) {
+        throw new Error(`Aether.js: Component ${name} is not defined`);
+    }
+    return renderComponent(name, definition, {
+        props: options.props,
+        attrs: new Map(Object.entries(options.attrs || {}).map(([attr, value]) => [attr, String(value)])),
+        children: options.children,
+        context: options.context
+    });
+}
@@ -0,0 +1,1289 @@
+// --- Module: State Management ---
+
+import { waitFor } from './dom.js';
+import { debounce, deepClone, throttle } from './utilities.js';
+import { captureCaller, emitDebug, isDebugging } from './performance.js';
+import { reportError, reportWarning } from './logging.js';
+
+let stateStore = null; // Default store used by bind() when none is given
+export const stores = new Set(); // All live stores
+const namedStores = new Map(); // Stores created with { name }
+let cleanupTimer = null;
+
+// Clean up dead bindings periodically, from the first store on; importing has no side effects
+function scheduleBindingCleanup() {
+    if (cleanupTimer !== null || typeof window === 'undefined') return;
+    cleanupTimer = setInterval(() => {
+        stores.forEach(store => store._cleanupBindings());
+    }, 30000); // Every 30 seconds
+}
+
+/**
+ * Creates a simple, reactive state store with improved performance.
+ * @param {object} initialState - The initial state of the store.
+ * @param {object} [options] - Store options.
+ * @param {object} [options.computed] - Computed values keyed by path: { deps, compute }.
+ * @param {boolean|object} [options.history] - Enable undo/redo, optionally { limit }.
+ * @param {object} [options.persist] - Persist state to a storage adapter (see createPersistence).
+ * @param {string} [options.name] - Register the store so bind() can target it by name.
+ *   On the client, state written by serializeState() under this name is merged in.
+ * @returns {object} The store instance.
+ */
+export function createStore(initialState, options = {}) {
+    // Named stores pick up state serialized by the server
+    let state = { ...initialState, ...(options.name ? takeServerState(options.name) : undefined) };
+    const subscribers = new Set();
+    const bindings = new Map(); // Use Map for better performance
+    const updateQueue = new Set(); // Batch updates
+    const computed = new Map(); // Memoized derived values
+    const proxyCache = new WeakMap(); // Stable proxies for nested objects
+
+    // Undo/redo history
+    const historyConfig = options.history
+        ? { limit: 100, ...(typeof options.history === 'object' ? options.history : {}) }
+        : null;
+    const historyEntries = [];
+    let historyIndex = 0; // Number of entries currently applied
+    let pendingPatch = []; // Changes since the last recorded entry
+    let transactionDepth = 0;
+    let isReplaying = false; // Writes that should not be recorded (history moves, hydration)
+
+    let isUpdating = false; // A flush is scheduled
+    let flushCaller = null; // Code that scheduled the pending flush, while debugging
+    let isDestroyed = false;
+    let isBatching = false; // setState is writing several keys
+
+    const handler = {
+        set(target, property, value, receiver) {
+            const oldValue = target[property];
+            if (oldValue === value) return true; // Skip if no change
+            
+            const fullPath = (this.path ? this.path + '.' : '') + property;
+            const hadOld = Object.prototype.hasOwnProperty.call(target, property);
+            const success = Reflect.set(target, property, value, receiver);
+            
+            if (success) {
+                recordChange(fullPath, hadOld, oldValue, true, value);
+                if (!isBatching) {
+                    scheduleUpdate(fullPath);
+                }
+            }
+            return success;
+        },
+        deleteProperty(target, property) {
+            if (!Object.prototype.hasOwnProperty.call(target, property)) return true;
+            
+            const fullPath = (this.path ? this.path + '.' : '') + property;
+            const oldValue = target[property];
+            const success = Reflect.deleteProperty(target, property);
+            
+            if (success) {
+                recordChange(fullPath, true, oldValue, false, undefined);
+                if (!isBatching) {
+                    scheduleUpdate(fullPath);
+                }
+            }
+            return success;
+        },
+        get(target, property) {
+            const value = target[property];
+            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                const path = (this.path ? this.path + '.' : '') + property;
+                if (!proxyCache.has(value)) {
+                    proxyCache.set(value, new Map());
+                }
+                const proxies = proxyCache.get(value);
+                if (!proxies.has(path)) {
+                    proxies.set(path, new Proxy(value, { ...handler, path }));
+                }
+                return proxies.get(path);
+            }
+            return value;
+        }
+    };
+    
+    state = new Proxy(state, handler);
+
+    function scheduleUpdate(changedKey) {
+        updateQueue.add(changedKey);
+        if (!isUpdating) {
+            isUpdating = true;
+            flushCaller = isDebugging() ? captureCaller() : null;
+            // Servers have no frames; flush on the next task instead
+            if (typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(processUpdates);
+            } else {
+                setTimeout(processUpdates, 0);
+            }
+        }
+    }
+
+    function processUpdates() {
+        if (isDestroyed) return;
+        const changedKeys = Array.from(updateQueue);
+        const caller = flushCaller;
+        updateQueue.clear();
+        // Writes made by subscribers and bindings schedule a flush of their own
+        isUpdating = false;
+
+        if (transactionDepth === 0) {
+            commitHistory();
+        }
+        refreshComputed(changedKeys);
+
+        if (persistence && changedKeys.some(persistence.tracks)) {
+            persistence.schedule();
+        }
+        
+        // Notify subscribers
+        subscribers.forEach(callback => {
+            try {
+                callback(state, changedKeys);
+            } catch (error) {
+                reportError(error, {
+                    module: 'state',
+                    operation: 'subscriber',
+                    message: 'Error in store subscriber',
+                    store: options.name || null
+                });
+            }
+        });
+        
+        // Update bindings
+        changedKeys.forEach(changedKey => {
+            for (const [key, bindingList] of bindings) {
+                if (pathsOverlap(key, changedKey)) {
+                    bindingList.forEach(binding => {
+                        if (binding.element && binding.element.isConnected) {
+                            try {
+                                applyBinding(binding, resolve(key));
+                            } catch (error) {
+                                reportError(error, {
+                                    module: 'state',
+                                    operation: 'binding',
+                                    message: `Error updating binding for ${key}`,
+                                    store: options.name || null,
+                                    key
+                                });
+                            }
+                        }
+                    });
+                }
+            }
+        });
+        
+        if (isDebugging()) {
+            emitDebug('store:flush', { store, changedKeys, caller, at: Date.now() });
+        }
+    }
+
+    /**
+     * Tracks a single write so the current batch can be recorded as a patch.
+     * @private
+     */
+    function recordChange(path, hadOld, oldValue, hasNew, newValue) {
+        if (!historyConfig || isReplaying) return;
+        pendingPatch.push({
+            path,
+            hadOld,
+            oldValue: deepClone(oldValue),
+            hasNew,
+            newValue: deepClone(newValue)
+        });
+    }
+
+    /**
+     * Turns the pending changes into a history entry, dropping any redo
+     * entries and trimming the oldest entries past the depth limit.
+     * @private
+     */
+    function commitHistory() {
+        if (!historyConfig || pendingPatch.length === 0) return;
+        
+        historyEntries.splice(historyIndex);
+        historyEntries.push({ changes: pendingPatch, timestamp: Date.now() });
+        pendingPatch = [];
+        
+        while (historyEntries.length > historyConfig.limit) {
+            historyEntries.shift();
+        }
+        historyIndex = historyEntries.length;
+    }
+
+    /**
+     * Applies one history entry forwards (redo) or backwards (undo).
+     * @private
+     */
+    function applyEntry(entry, forward) {
+        const changes = forward ? entry.changes : entry.changes.slice().reverse();
+        
+        isReplaying = true;
+        isBatching = true;
+        try {
+            changes.forEach(change => {
+                const exists = forward ? change.hasNew : change.hadOld;
+                const value = forward ? change.newValue : change.oldValue;
+                setNested(change.path, deepClone(value), !exists);
+            });
+        } finally {
+            isReplaying = false;
+            isBatching = false;
+        }
+        changes.forEach(change => scheduleUpdate(change.path));
+    }
+
+    /**
+     * Deep-merges persisted data into state without recording history,
+     * so excluded nested paths survive hydration.
+     * @private
+     */
+    function applyPersisted(data) {
+        const merge = (path, value) => {
+            const current = getNested(state, path);
+            if (isPlainObject(value) && isPlainObject(current)) {
+                Object.entries(value).forEach(([key, child]) => merge(`${path}.${key}`, child));
+            } else {
+                setNested(path, value);
+            }
+        };
+        
+        isReplaying = true;
+        isBatching = true;
+        try {
+            Object.entries(data).forEach(([key, value]) => merge(key, value));
+        } finally {
+            isReplaying = false;
+            isBatching = false;
+        }
+        scheduleUpdate('');
+    }
+
+    /**
+     * Moves through history until `index` entries are applied, or by
+     * `index` entries when `relative`.
+     * @private
+     */
+    function moveTo(index, relative = false) {
+        if (!historyConfig) return false;
+        if (transactionDepth === 0) {
+            commitHistory();
+        }
+        
+        // Relative moves count from the index after pending changes were committed
+        const requested = relative ? historyIndex + index : index;
+        const target = Math.max(0, Math.min(requested, historyEntries.length));
+        if (target === historyIndex) return false;
+        
+        while (historyIndex > target) {
+            applyEntry(historyEntries[--historyIndex], false);
+        }
+        while (historyIndex < target) {
+            applyEntry(historyEntries[historyIndex++], true);
+        }
+        return true;
+    }
+
+    function endTransaction() {
+        transactionDepth--;
+        if (transactionDepth === 0) {
+            commitHistory();
+        }
+    }
+
+    /**
+     * Recomputes computed values whose dependencies changed and appends
+     * the keys of those whose value actually changed to changedKeys.
+     * @private
+     */
+    function refreshComputed(changedKeys) {
+        let pending = changedKeys.slice();
+        let passes = 0;
+        
+        // Computed values may depend on other computed values, so repeat
+        // until nothing else changes (bounded to guard against cycles)
+        while (pending.length && passes++ <= computed.size) {
+            const affected = [];
+            for (const [key, def] of computed) {
+                if (pending.some(changed => def.deps.some(dep => pathsOverlap(dep, changed)))) {
+                    affected.push([key, def, def.value]);
+                    def.dirty = true;
+                }
+            }
+            
+            pending = [];
+            affected.forEach(([key, def, oldValue]) => {
+                if (!Object.is(resolve(key), oldValue)) {
+                    changedKeys.push(key);
+                    pending.push(key);
+                }
+            });
+        }
+    }
+
+    /**
+     * Reads a path from state, resolving computed keys first.
+     * @private
+     */
+    function resolve(path) {
+        const def = computed.get(path);
+        if (!def) return getNested(state, path);
+        
+        if (def.dirty) {
+            try {
+                def.value = def.compute(...def.deps.map(resolve));
+            } catch (error) {
+                reportError(error, {
+                    module: 'state',
+                    operation: 'computed',
+                    message: `Error computing ${path}`,
+                    store: options.name || null,
+                    key: path
+                });
+            }
+            def.dirty = false;
+        }
+        return def.value;
+    }
+
+    function addComputed(key, deps, compute) {
+        if (typeof compute !== 'function') {
+            throw new Error(`Computed value ${key} must have a compute function`);
+        }
+        computed.set(key, { deps: [].concat(deps || []), compute, value: undefined, dirty: true });
+        return () => computed.delete(key);
+    }
+
+    function applyBinding({ element, prop, transform, apply }, value, force = false) {
+        const finalValue = transform ? transform(value) : value;
+        if (apply) {
+            apply(finalValue);
+        } else if (force || element[prop] !== finalValue) {
+            element[prop] = finalValue;
+        }
+    }
+
+    function getNested(obj, path) {
+        try {
+            return path.split('.').reduce((acc, part) => acc?.[part], obj);
+        } catch {
+            return undefined;
+        }
+    }
+
+    function setNested(path, value, remove = false) {
+        const parts = path.split('.');
+        const last = parts.pop();
+        let parent = state;
+        for (const part of parts) {
+            if (parent[part] === null || typeof parent[part] !== 'object') {
+                if (remove) return;
+                parent[part] = {}; // Create missing intermediate objects
+            }
+            parent = parent[part];
+        }
+        
+        if (remove) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    }
+
+    Object.entries(options.computed || {}).forEach(([key, def]) => {
+        addComputed(key, def.deps, def.compute);
+    });
+
+    const persistence = options.persist
+        ? createPersistence(options.persist, {
+            read: (path) => deepClone(path ? getNested(state, path) : state),
+            write: applyPersisted
+        })
+        : null;
+
+    const store = {
+        name: options.name || null,
+        getState: () => state,
+        setState: (newState, options = { merge: true }) => {
+            isBatching = true;
+            try {
+                if (options.merge) {
+                    Object.entries(newState).forEach(([key, value]) => {
+                        state[key] = value;
+                    });
+                } else {
+                    // Replace entire state
+                    Object.keys(state).forEach(key => delete state[key]);
+                    Object.assign(state, newState);
+                }
+            } finally {
+                isBatching = false;
+                scheduleUpdate(''); // Trigger update for all keys
+            }
+        },
+        subscribe: (callback) => {
+            if (typeof callback !== 'function') {
+                throw new Error('Callback must be a function');
+            }
+            subscribers.add(callback);
+            return () => subscribers.delete(callback);
+        },
+        /**
+         * Subscribes to a derived slice of state. The callback only fires
+         * when the selected value changes according to `equals`.
+         * @param {Function|string} selector - Selector function or state/computed path.
+         * @param {Function} callback - Called with (newValue, oldValue).
+         * @param {object} [options] - { equals } comparator, defaults to Object.is.
+         * @returns {Function} Unsubscribe function.
+         */
+        select: (selector, callback, options = {}) => {
+            if (typeof callback !== 'function') {
+                throw new Error('Callback must be a function');
+            }
+            const equals = options.equals || Object.is;
+            const pick = typeof selector === 'string'
+                ? () => resolve(selector)
+                : () => selector(state);
+            
+            let current = pick();
+            return store.subscribe(() => {
+                const next = pick();
+                if (equals(current, next)) return;
+                const previous = current;
+                current = next;
+                callback(next, previous);
+            });
+        },
+        /**
+         * Groups every change made inside `fn` into a single history entry.
+         * Async functions keep the transaction open until they settle.
+         * @param {Function} fn - Receives the store.
+         * @returns {*} The result of `fn`.
+         */
+        transaction: (fn) => {
+            transactionDepth++;
+            let result;
+            try {
+                result = fn(store);
+            } catch (error) {
+                endTransaction();
+                throw error;
+            }
+            if (result && typeof result.then === 'function') {
+                return result.finally(endTransaction);
+            }
+            endTransaction();
+            return result;
+        },
+        // History navigation (no-ops unless created with { history })
+        undo: () => moveTo(-1, true),
+        redo: () => moveTo(1, true),
+        jumpTo: (index) => moveTo(index),
+        canUndo: () => !!historyConfig && (historyIndex > 0 || pendingPatch.length > 0),
+        canRedo: () => !!historyConfig && pendingPatch.length === 0 && historyIndex < historyEntries.length,
+        getHistory: () => ({
+            index: historyIndex,
+            entries: historyEntries.map(({ changes, timestamp }) => ({
+                keys: changes.map(change => change.path),
+                timestamp
+            }))
+        }),
+        clearHistory: () => {
+            historyEntries.length = 0;
+            historyIndex = 0;
+            pendingPatch = [];
+        },
+        // Resolves once persisted state has been loaded (immediately without { persist })
+        hydrated: (persistence ? persistence.hydrated : Promise.resolve()).then(() => store),
+        clearPersisted: () => persistence ? persistence.clear() : Promise.resolve(),
+        // Read a state or computed value by dot-notation path
+        get: (path) => resolve(path),
+        computed: addComputed,
+        /**
+         * Binds an element to a key in this store.
+         * @see bind
+         */
+        bind: (elementOrSelector, stateKey, bindOptions = {}) =>
+            bind(elementOrSelector, stateKey, { ...bindOptions, store }),
+        /**
+         * Tears down subscribers, bindings and persistence and unregisters
+         * the store. Pending updates are dropped.
+         */
+        destroy: () => {
+            if (isDestroyed) return;
+            isDestroyed = true;
+            
+            subscribers.clear();
+            bindings.clear();
+            computed.clear();
+            updateQueue.clear();
+            if (persistence) persistence.destroy();
+            
+            stores.delete(store);
+            if (store.name && namedStores.get(store.name) === store) {
+                namedStores.delete(store.name);
+            }
+            if (stateStore === store) {
+                stateStore = Array.from(stores).pop() || null;
+            }
+        },
+        isDestroyed: () => isDestroyed,
+        // Add method to get subscriber count for debugging
+        getSubscriberCount: () => subscribers.size,
+        // Write a value at a dot-notation path, creating missing objects
+        set: (path, value) => setNested(path, value),
+        _addBinding: (key, element, prop, transform, apply) => {
+            if (!bindings.has(key)) {
+                bindings.set(key, []);
+            }
+            const binding = { element, prop, transform, apply };
+            bindings.get(key).push(binding);
+            
+            // Initialize with current value
+            try {
+                applyBinding(binding, resolve(key), true);
+            } catch (error) {
+                reportError(error, {
+                    module: 'state',
+                    operation: 'binding',
+                    message: `Error initializing binding for ${key}`,
+                    store: options.name || null,
+                    key
+                });
+            }
+            
+            // Return a function that removes this binding
+            return () => {
+                const bindingList = bindings.get(key);
+                if (!bindingList) return;
+                const index = bindingList.indexOf(binding);
+                if (index !== -1) bindingList.splice(index, 1);
+                if (bindingList.length === 0) bindings.delete(key);
+            };
+        },
+        // Subscribers, computed keys and live bindings, for aether.devtools
+        _inspect: () => ({
+            subscribers: subscribers.size,
+            computed: Array.from(computed.keys()),
+            bindings: Array.from(bindings, ([key, bindingList]) =>
+                bindingList.map(({ element, prop }) => ({ key, element, prop }))).flat()
+        }),
+        // Add method to clean up dead bindings
+        _cleanupBindings: () => {
+            for (const [key, bindingList] of bindings) {
+                const activeBindings = bindingList.filter(({ element }) => 
+                    element && element.isConnected
+                );
+                if (activeBindings.length === 0) {
+                    bindings.delete(key);
+                } else if (activeBindings.length < bindingList.length) {
+                    bindings.set(key, activeBindings);
+                }
+            }
+        }
+    };
+    
+    if (store.name) {
+        if (namedStores.has(store.name)) {
+            reportWarning('state', `Store "${store.name}" already exists and will be replaced`);
+        }
+        namedStores.set(store.name, store);
+    }
+    stores.add(store);
+    stateStore = store; // Latest store becomes the default
+    scheduleBindingCleanup();
+    return store;
+}
+
+export function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Wraps a Web Storage object, tolerating browsers where access throws.
+ * @private
+ */
+function webStorageAdapter(getStorage) {
+    const storage = () => {
+        try {
+            return getStorage();
+        } catch {
+            return null;
+        }
+    };
+    return {
+        getItem: (key) => storage()?.getItem(key) ?? null,
+        setItem: (key, value) => storage()?.setItem(key, value),
+        removeItem: (key) => storage()?.removeItem(key)
+    };
+}
+
+/**
+ * Storage adapters for store persistence. Each adapter exposes
+ * getItem/setItem/removeItem, which may return values or promises.
+ */
+export const storageAdapters = {
+    local: () => webStorageAdapter(() => window.localStorage),
+    session: () => webStorageAdapter(() => window.sessionStorage),
+    memory: (initial = {}) => {
+        const items = new Map(Object.entries(initial));
+        return {
+            getItem: (key) => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: (key) => { items.delete(key); }
+        };
+    },
+    indexedDB: (dbName = 'aether', storeName = 'store') => {
+        let dbPromise = null;
+        
+        const open = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+        
+        const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+        
+        return {
+            getItem: (key) => run('readonly', store => store.get(key)).then(value => value ?? null),
+            setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+            removeItem: (key) => run('readwrite', store => store.delete(key))
+        };
+    }
+};
+
+/**
+ * Sets up persistence for a store: hydration with migrations, throttled
+ * writes and optional cross-tab sync.
+ * @param {object} options - { key, storage, include, exclude, throttle, version, migrate, sync }.
+ * @param {object} access - { read(path), write(data) } provided by the store.
+ * @returns {object} { hydrated, tracks(changedKey), schedule(), clear() }.
+ * @private
+ */
+function createPersistence(options, { read, write }) {
+    const config = {
+        key: 'aether-store',
+        storage: 'local',
+        include: null,
+        exclude: [],
+        throttle: 100,
+        version: 0,
+        migrate: null,
+        sync: false,
+        ...options
+    };
+    
+    const storage = typeof config.storage === 'string'
+        ? storageAdapters[config.storage]?.()
+        : config.storage;
+    if (!storage) {
+        throw new Error(`Aether.js: Unknown storage adapter "${config.storage}"`);
+    }
+    
+    let lastWritten = null;
+    let isHydrated = false;
+    let channel = null;
+    let onStorage = null;
+    
+    function snapshot() {
+        const data = {};
+        const paths = config.include || Object.keys(read('') || {});
+        paths.forEach(path => setPath(data, path, read(path)));
+        config.exclude.forEach(path => deletePath(data, path));
+        return data;
+    }
+    
+    function migrate(data, fromVersion) {
+        if (typeof config.migrate === 'function') {
+            return config.migrate(data, fromVersion);
+        }
+        // Map form: { [version]: (state) => state }, applied in order
+        for (let version = fromVersion + 1; version <= config.version; version++) {
+            const step = config.migrate?.[version];
+            if (step) data = step(data);
+        }
+        return data;
+    }
+    
+    function receive(raw) {
+        if (!raw || raw === lastWritten) return;
+        try {
+            const { version = 0, state } = JSON.parse(raw);
+            if (version > config.version) {
+                reportWarning('state', `Ignoring persisted state "${config.key}" from newer version ${version}`);
+                return;
+            }
+            const data = version < config.version ? migrate(state, version) : state;
+            lastWritten = raw;
+            if (data) write(data);
+        } catch (error) {
+            reportError(error, {
+                module: 'state',
+                operation: 'persist',
+                message: `Failed to restore persisted state "${config.key}"`,
+                key: config.key
+            });
+        }
+    }
+    
+    async function persist() {
+        if (!isHydrated) return;
+        const raw = JSON.stringify({ version: config.version, state: snapshot() });
+        if (raw === lastWritten) return;
+        lastWritten = raw;
+        try {
+            await storage.setItem(config.key, raw);
+            if (channel) channel.postMessage(raw);
+        } catch (error) {
+            reportError(error, {
+                module: 'state',
+                operation: 'persist',
+                message: `Failed to persist state "${config.key}"`,
+                key: config.key
+            });
+        }
+    }
+    
+    const schedule = throttle(persist, config.throttle);
+    
+    const hydrated = Promise.resolve()
+        .then(() => storage.getItem(config.key))
+        .then(receive)
+        .catch(error => reportError(error, {
+            module: 'state',
+            operation: 'persist',
+            message: `Failed to hydrate state "${config.key}"`,
+            key: config.key
+        }))
+        .then(() => {
+            isHydrated = true;
+            schedule(); // Persist anything changed while hydrating
+        });
+    
+    if (config.sync && typeof window !== 'undefined') {
+        if (typeof BroadcastChannel === 'function') {
+            channel = new BroadcastChannel(`aether:${config.key}`);
+            channel.onmessage = (event) => receive(event.data);
+        } else {
+            onStorage = (event) => {
+                if (event.key === config.key) receive(event.newValue);
+            };
+            window.addEventListener('storage', onStorage);
+        }
+    }
+    
+    return {
+        hydrated,
+        tracks: (changedKey) => {
+            const paths = config.include || [''];
+            return paths.some(path => pathsOverlap(path, changedKey)) &&
+                !config.exclude.some(path => isWithinPath(changedKey, path));
+        },
+        schedule,
+        clear: () => {
+            lastWritten = null;
+            return Promise.resolve(storage.removeItem(config.key));
+        },
+        destroy: () => {
+            isHydrated = false; // Stops any trailing throttled write
+            if (channel) channel.close();
+            if (onStorage) window.removeEventListener('storage', onStorage);
+        }
+    };
+}
+
+export function setPath(obj, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((acc, part) => {
+        if (!isPlainObject(acc[part])) acc[part] = {};
+        return acc[part];
+    }, obj);
+    parent[last] = value;
+}
+
+function deletePath(obj, path) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((acc, part) => acc?.[part], obj);
+    if (isPlainObject(parent)) delete parent[last];
+}
+
+// Whether `path` is `base` or nested in it, comparing whole segments
+function isWithinPath(path, base) {
+    return path === base || path.startsWith(`${base}.`);
+}
+
+// Compares whole segments, so 'user' doesn't overlap 'username'. The
+// empty key (a full restore or hydration) overlaps every path.
+function pathsOverlap(a, b) {
+    return !a || !b || isWithinPath(a, b) || isWithinPath(b, a);
+}
+
+/**
+ * Looks up a live store by name.
+ * @param {string} name - The name passed to createStore.
+ * @returns {object|null} The store, or null if none is registered.
+ */
+export function getStore(name) {
+    return namedStores.get(name) || null;
+}
+
+const STATE_SCRIPT_ID = '__AETHER_STATE__';
+let serverState; // Parsed state script, read on first use
+
+/**
+ * Serializes store state (and optionally resolved route data) into a
+ * JSON script tag for the page, escaped so it cannot close the script.
+ * @param {object} [options] - Serialization options.
+ * @param {Array<object|string>} [options.stores] - Stores or names; defaults to every named store.
+ * @param {object} [options.router] - A router.resolve() result whose loader data is included.
+ * @param {string} [options.id='__AETHER_STATE__'] - Script element id.
+ * @returns {string} The script tag markup.
+ */
+export function serializeState(options = {}) {
+    const { id = STATE_SCRIPT_ID } = options;
+    const payload = { stores: {} };
+    const selected = options.stores
+        ? options.stores.map(resolveStore)
+        : Array.from(namedStores.values());
+    selected.forEach(store => {
+        if (!store.name) {
+            reportWarning('state', 'serializeState() skipped a store without a name');
+            return;
+        }
+        payload.stores[store.name] = store.getState();
+    });
+    if (options.router) {
+        payload.routes = options.router.matched.map(entry => entry.data);
+    }
+    
+    const json = JSON.stringify(payload)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+    return `<script type="application/json" id="${id}">${json}</script>`;
+}
+
+/**
+ * Reads the state script written by serializeState(), once.
+ * @private
+ */
+export function readServerState() {
+    if (serverState !== undefined) return serverState;
+    serverState = null;
+    const script = typeof document !== 'undefined' && document.getElementById(STATE_SCRIPT_ID);
+    if (script) {
+        try {
+            serverState = JSON.parse(script.textContent);
+        } catch (error) {
+            reportError(error, { module: 'state', operation: 'hydrate', message: 'Invalid serialized state' });
+        }
+    }
+    return serverState;
+}
+
+// Server state is used by the first store with the name only
+function takeServerState(name) {
+    const states = readServerState()?.stores;
+    if (!states || !Object.prototype.hasOwnProperty.call(states, name)) return undefined;
+    const value = states[name];
+    delete states[name];
+    return value;
+}
+
+/**
+ * Resolves the store a binding should target.
+ * @private
+ */
+export function resolveStore(storeOrName) {
+    if (typeof storeOrName === 'string') {
+        const named = namedStores.get(storeOrName);
+        if (!named) {
+            throw new Error(`Aether.js: No store named "${storeOrName}" exists.`);
+        }
+        return named;
+    }
+    if (storeOrName) {
+        if (storeOrName.isDestroyed()) {
+            throw new Error('Aether.js: Cannot bind to a destroyed store.');
+        }
+        return storeOrName;
+    }
+    if (!stateStore) {
+        throw new Error("Aether.js: Must create a store with aether.createStore() before using bind().");
+    }
+    return stateStore;
+}
+
+/**
+ * Binds an element's property to a state key with optional transform.
+ * With `twoWay: true`, user input is written back to the store.
+ * @param {Element|string} elementOrSelector - The element or its selector.
+ * @param {string} stateKey - The dot-notation key in the state (e.g., 'user.name').
+ * @param {object} [options] - Binding options { prop, transform, store, twoWay, event, parse, debounce }.
+ * @returns {Promise<Function>} Promise that resolves to cleanup function.
+ */
+export function bind(elementOrSelector, stateKey, options = {}) {
+    const targetStore = resolveStore(options.store);
+    const ready = typeof elementOrSelector === 'string'
+        ? waitFor(elementOrSelector)
+        : Promise.resolve(elementOrSelector);
+    
+    return ready.then(element => {
+        return attachBinding(targetStore, element, stateKey, options);
+    }).catch(error => {
+        reportError(error, {
+            module: 'state',
+            operation: 'bind',
+            message: `Failed to bind ${stateKey}`,
+            key: stateKey
+        });
+    });
+}
+
+/**
+ * Attaches a binding to an element that is already in the DOM.
+ * @private
+ */
+function attachBinding(targetStore, element, stateKey, options) {
+    const control = options.twoWay ? getControl(element) : null;
+    const prop = options.prop || (control ? control.prop :
+        (element.matches('input, textarea, select') ? 'value' : 'textContent'));
+    const apply = control && !options.prop ? control.write : null;
+    
+    const removeBinding = targetStore._addBinding(stateKey, element, prop, options.transform, apply);
+    if (!options.twoWay) return removeBinding;
+    
+    const eventName = options.event || control.event;
+    const read = () => {
+        const raw = options.prop ? element[options.prop] : control.read(targetStore.get(stateKey));
+        return options.parse ? options.parse(raw, element) : raw;
+    };
+    
+    let listener = () => {
+        try {
+            targetStore.set(stateKey, read());
+        } catch (error) {
+            reportError(error, {
+                module: 'state',
+                operation: 'binding',
+                message: `Error writing binding for ${stateKey}`,
+                key: stateKey
+            });
+        }
+    };
+    if (options.debounce) {
+        listener = debounce(listener, options.debounce);
+    }
+    element.addEventListener(eventName, listener);
+    
+    return () => {
+        removeBinding();
+        if (listener.cancel) listener.cancel();
+        element.removeEventListener(eventName, listener);
+    };
+}
+
+/**
+ * Describes how to read and write a form control for two-way binding.
+ * Writes skip values the control already shows so typing isn't disturbed.
+ * @private
+ */
+function getControl(element) {
+    const type = (element.type || '').toLowerCase();
+    
+    if (type === 'checkbox') {
+        // Bound to an array, the checkbox toggles its value's membership
+        return {
+            prop: 'checked',
+            event: 'change',
+            read: (current) => {
+                if (!Array.isArray(current)) return element.checked;
+                const rest = current.filter(item => String(item) !== element.value);
+                return element.checked ? [...rest, element.value] : rest;
+            },
+            write: (value) => {
+                element.checked = Array.isArray(value)
+                    ? value.map(String).includes(element.value)
+                    : !!value;
+            }
+        };
+    }
+    
+    if (type === 'radio') {
+        return {
+            prop: 'checked',
+            event: 'change',
+            read: (current) => element.checked ? element.value : current,
+            write: (value) => {
+                element.checked = value !== null && value !== undefined && String(value) === element.value;
+            }
+        };
+    }
+    
+    if (type === 'select-multiple') {
+        return {
+            prop: 'value',
+            event: 'change',
+            read: () => Array.from(element.selectedOptions).map(option => option.value),
+            write: (value) => {
+                const selected = [].concat(value ?? []).map(String);
+                Array.from(element.options).forEach(option => {
+                    option.selected = selected.includes(option.value);
+                });
+            }
+        };
+    }
+    
+    if (type === 'number' || type === 'range') {
+        const readNumber = () => element.value === '' ? null : Number(element.value);
+        return {
+            prop: 'value',
+            event: 'input',
+            read: readNumber,
+            write: (value) => {
+                if (!Object.is(readNumber(), value ?? null)) {
+                    element.value = value ?? '';
+                }
+            }
+        };
+    }
+    
+    return {
+        prop: 'value',
+        event: type === 'select-one' ? 'change' : 'input',
+        read: () => element.value,
+        write: (value) => {
+            const next = String(value ?? '');
+            if (element.value !== next) element.value = next;
+        }
+    };
+}
+
+/**
+ * Built-in validators for aether.form(). Each returns a function that
+ * receives (value, values) and returns an error message when invalid.
+ */
+export const validators = {
+    required: (message = 'This field is required') => (value) =>
+        (value === undefined || value === null || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0)) ? message : undefined,
+    minLength: (length, message = `Must be at least ${length} characters`) => (value) =>
+        value && String(value).length < length ? message : undefined,
+    maxLength: (length, message = `Must be at most ${length} characters`) => (value) =>
+        value && String(value).length > length ? message : undefined,
+    min: (min, message = `Must be at least ${min}`) => (value) =>
+        value !== null && value !== '' && Number(value) < min ? message : undefined,
+    max: (max, message = `Must be at most ${max}`) => (value) =>
+        value !== null && value !== '' && Number(value) > max ? message : undefined,
+    pattern: (regex, message = 'Invalid format') => (value) =>
+        value && !regex.test(String(value)) ? message : undefined,
+    email: (message = 'Invalid email address') => (value) =>
+        value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)) ? message : undefined
+};
+
+/**
+ * Binds every named control of a form to a store subtree with
+ * validation, dirty/touched tracking and a guarded submit handler.
+ * @param {Element|string} formOrSelector - The form element or its selector.
+ * @param {string} path - Dot-notation path of the subtree holding the form values.
+ * @param {object} [options] - { store, validators, fields, onSubmit, metaPath }.
+ * @returns {Promise<object>} Promise that resolves to the form controller.
+ */
+export function form(formOrSelector, path, options = {}) {
+    const targetStore = resolveStore(options.store);
+    const ready = typeof formOrSelector === 'string'
+        ? waitFor(formOrSelector)
+        : Promise.resolve(formOrSelector);
+    
+    return ready.then(formEl => createFormController(formEl, path, targetStore, options));
+}
+
+/**
+ * @private
+ */
+function createFormController(formEl, path, targetStore, options) {
+    const rules = options.validators || {};
+    const errors = {};
+    const touched = {};
+    const dirty = {};
+    const cleanups = [];
+    let submitted = false;
+    let submitting = false;
+    let lastMeta = null;
+    
+    const controls = Array.from(formEl.elements).filter(el =>
+        el.name && !['submit', 'button', 'reset', 'fieldset', 'output'].includes(el.type)
+    );
+    const names = Array.from(new Set([...controls.map(el => el.name), ...Object.keys(rules)]));
+    const keyFor = (name) => `${path}.${name}`;
+    
+    // Seed missing store values from the markup before binding. Checkboxes
+    // sharing a name seed an array of the checked values, so each box
+    // binds in membership mode.
+    controls.forEach(el => {
+        if (targetStore.get(keyFor(el.name)) !== undefined) return;
+        const group = el.type === 'checkbox'
+            ? controls.filter(other => other.type === 'checkbox' && other.name === el.name)
+            : [el];
+        const value = group.length > 1
+            ? group.filter(box => box.checked).map(box => box.value)
+            : getControl(el).read(undefined);
+        if (value !== undefined) targetStore.set(keyFor(el.name), value);
+    });
+    
+    const initial = deepClone(targetStore.get(path)) || {};
+    
+    controls.forEach(el => {
+        cleanups.push(attachBinding(targetStore, el, keyFor(el.name), {
+            twoWay: true,
+            ...(options.fields?.[el.name] || {})
+        }));
+    });
+    
+    function validateField(name, values) {
+        const value = values?.[name];
+        for (const rule of [].concat(rules[name] || [])) {
+            const result = rule(value, values);
+            if (typeof result === 'string' && result) return result;
+            if (result === false) return 'Invalid value';
+        }
+        return null;
+    }
+    
+    function refresh() {
+        const values = targetStore.get(path) || {};
+        names.forEach(name => {
+            errors[name] = validateField(name, values);
+            dirty[name] = JSON.stringify(values[name]) !== JSON.stringify(initial[name]);
+        });
+        render();
+    }
+    
+    function render() {
+        names.forEach(name => {
+            const shown = (touched[name] || submitted) ? errors[name] : null;
+            controls.filter(el => el.name === name).forEach(el => {
+                el.toggleAttribute('aria-invalid', !!shown);
+            });
+            formEl.querySelectorAll(`[data-error-for="${name}"]`).forEach(el => {
+                el.textContent = shown || '';
+            });
+        });
+        
+        if (options.metaPath) {
+            const meta = {
+                errors: { ...errors },
+                touched: { ...touched },
+                dirty: { ...dirty },
+                valid: controller.isValid(),
+                isDirty: names.some(name => dirty[name]),
+                submitted,
+                submitting
+            };
+            const serialized = JSON.stringify(meta);
+            if (serialized !== lastMeta) {
+                lastMeta = serialized;
+                // Written from a subscriber, so it flushes right after the field values
+                targetStore.set(options.metaPath, meta);
+            }
+        }
+    }
+    
+    const onFocusOut = (event) => {
+        const name = event.target.name;
+        if (name && names.includes(name) && !touched[name]) {
+            touched[name] = true;
+            render();
+        }
+    };
+    const onSubmit = (event) => {
+        event.preventDefault();
+        controller.submit();
+    };
+    const onReset = (event) => {
+        event.preventDefault();
+        controller.reset();
+    };
+    formEl.addEventListener('focusout', onFocusOut);
+    formEl.addEventListener('submit', onSubmit);
+    formEl.addEventListener('reset', onReset);
+    
+    const inPath = (key) => key === '' || key === path ||
+        key.startsWith(path + '.') || path.startsWith(key + '.');
+    const unsubscribe = targetStore.subscribe((state, changedKeys) => {
+        if (changedKeys.some(inPath)) refresh();
+    });
+    
+    const controller = {
+        form: formEl,
+        errors,
+        touched,
+        dirty,
+        values: () => deepClone(targetStore.get(path)),
+        isValid: () => names.every(name => !errors[name]),
+        isDirty: () => names.some(name => dirty[name]),
+        validate: () => {
+            refresh();
+            return controller.isValid();
+        },
+        /**
+         * Marks every field touched and calls onSubmit only when valid.
+         * @returns {Promise<boolean>} Whether the submit handler ran.
+         */
+        submit: async () => {
+            submitted = true;
+            names.forEach(name => { touched[name] = true; });
+            
+            if (!controller.validate()) {
+                const firstInvalid = controls.find(el => errors[el.name]);
+                if (firstInvalid) firstInvalid.focus();
+                return false;
+            }
+            if (!options.onSubmit || submitting) return !submitting;
+            
+            submitting = true;
+            render();
+            try {
+                await options.onSubmit(controller.values(), controller);
+                return true;
+            } catch (error) {
+                reportError(error, {
+                    module: 'state',
+                    operation: 'submit',
+                    message: 'Error in form submit handler',
+                    key: path
+                });
+                return false;
+            } finally {
+                submitting = false;
+                render();
+            }
+        },
+        reset: () => {
+            targetStore.set(path, deepClone(initial));
+            submitted = false;
+            names.forEach(name => {
+                touched[name] = false;
+                dirty[name] = false;
+            });
+            refresh();
+        },
+        destroy: () => {
+            cleanups.forEach(cleanup => cleanup());
+            unsubscribe();
+            formEl.removeEventListener('focusout', onFocusOut);
+            formEl.removeEventListener('submit', onSubmit);
+            formEl.removeEventListener('reset', onReset);
+        }
+    };
+    
+    refresh();
+    return controller;
+}
@@ -0,0 +1,81 @@
+// --- Module: Utilities ---
+
+/**
+ * Creates a debounced function that delays invoking func.
+ * @param {Function} func - The function to debounce.
+ * @param {number} wait - The number of milliseconds to delay.
+ * @param {boolean} [immediate=false] - Trigger on leading edge.
+ * @returns {Function} The new debounced function.
+ */
+export function debounce(func, wait, immediate = false) {
+    let timeout, result;
+    
+    const debounced = function(...args) {
+        const later = () => {
+            timeout = null;
+            if (!immediate) result = func.apply(this, args);
+        };
+        
+        const callNow = immediate && !timeout;
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+        
+        if (callNow) result = func.apply(this, args);
+        return result;
+    };
+    
+    debounced.cancel = () => {
+        clearTimeout(timeout);
+        timeout = null;
+    };
+    
+    return debounced;
+}
+
+/**
+ * Creates a throttled function that only invokes func at most once per every `limit` milliseconds.
+ * @param {Function} func - The function to throttle.
+ * @param {number} limit - The minimum time interval between invocations.
+ * @param {object} [options={ leading: true, trailing: true }] - Options object.
+ * @returns {Function} The new throttled function.
+ */
+export function throttle(func, limit, options = { leading: true, trailing: true }) {
+    let inThrottle, lastFunc, lastRan;
+    
+    return function(...args) {
+        if (!inThrottle) {
+            if (options.leading) {
+                func.apply(this, args);
+                lastRan = Date.now();
+            }
+            inThrottle = true;
+        } else {
+            clearTimeout(lastFunc);
+            lastFunc = setTimeout(() => {
+                if (options.trailing && Date.now() - lastRan >= limit) {
+                    func.apply(this, args);
+                    lastRan = Date.now();
+                }
+                inThrottle = false;
+            }, limit - (Date.now() - lastRan));
+        }
+    };
+}
+
+/**
+ * Simple deep clone utility.
+ * @param {*} obj - Object to clone.
+ * @returns {*} Cloned object.
+ */
+export function deepClone(obj) {
+    if (obj === null || typeof obj !== 'object') return obj;
+    if (obj instanceof Date) return new Date(obj.getTime());
+    if (obj instanceof Array) return obj.map(item => deepClone(item));
+    if (typeof obj === 'object') {
+        const copy = {};
+        Object.keys(obj).forEach(key => {
+            copy[key] = deepClone(obj[key]);
+        });
+        return copy;
+    }
+}
@@ -0,0 +1,784 @@
+// Type definitions for Aether.js 2.0
+// The `aether` global of the script build has the same shape as this module.
+
+export as namespace aether;
+
+// --- Helpers ---
+
+type Primitive = string | number | boolean | bigint | symbol | null | undefined;
+type Depth = [never, 0, 1, 2, 3, 4, 5];
+
+/** Dot-notation paths into a state shape, e.g. 'user.name' (up to 6 levels deep). */
+export type Path<T, D extends number = 6> = [D] extends [never]
+    ? never
+    : T extends Primitive | Function | readonly unknown[]
+        ? never
+        : {
+            [K in keyof T & string]: K | (T[K] extends Primitive | Function | readonly unknown[]
+                ? never
+                : `${K}.${Path<T[K], Depth[D]>}`)
+        }[keyof T & string];
+
+/** The type found at a dot-notation path. */
+export type PathValue<T, P extends string> = P extends `${infer K}.${infer Rest}`
+    ? K extends keyof T ? PathValue<T[K], Rest> : unknown
+    : P extends keyof T ? T[P] : unknown;
+
+type UnionToIntersection<U> = (U extends unknown ? (value: U) => void : never) extends (value: infer I) => void ? I : never;
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+type Segments<P extends string> = P extends `${infer Head}/${infer Tail}` ? Head | Segments<Tail> : P;
+type ParamName<S extends string> = S extends `${infer Name}(${string})` ? Name : S;
+type SegmentParams<S extends string> =
+    S extends `${string}:${infer Param}`
+        ? Param extends `${infer Name}?`
+            ? { [K in ParamName<Name>]?: string }
+            : { [K in ParamName<Param>]: string }
+        : S extends `${string}*${infer Splat}`
+            ? { [K in Splat extends '' ? 'wildcard' : Splat]?: string }
+            : {};
+
+/**
+ * Params of a route path: `:id` is required, `:id?` and `*splat` are
+ * optional, and constraints like `:id(\d+)` are dropped from the name.
+ */
+export type RouteParams<P extends string> = string extends P
+    ? Record<string, string | undefined>
+    : Simplify<UnionToIntersection<SegmentParams<Segments<P>>>>;
+
+export type Unsubscribe = () => void;
+export type Query = Record<string, string | string[]>;
+
+// --- Configuration ---
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface Logger {
+    error(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    info(...args: unknown[]): void;
+    debug(...args: unknown[]): void;
+}
+
+/** Passed to onError for every error the library catches. */
+export interface AetherError extends Error {
+    name: 'AetherError';
+    /** 'state', 'components', 'router', 'fetch', ... */
+    module: string;
+    /** What was running, e.g. 'subscriber', 'binding', 'loader', 'handler', 'connectedCallback'. */
+    operation: string;
+    /** The message without the original error's. */
+    summary: string;
+    /** The original error (also `cause`). */
+    error: unknown;
+    component?: string;
+    route?: string;
+    store?: string | null;
+    key?: string;
+}
+
+export interface LoggingOptions {
+    onError?: ((error: AetherError) => void) | null;
+    logger?: Logger;
+    logLevel?: LogLevel;
+    dedupeWarnings?: boolean;
+}
+
+export function configure(options?: LoggingOptions): Required<LoggingOptions>;
+
+// --- DOM & Observation ---
+
+export function waitFor<E extends Element = Element>(selector: string, timeout?: number): Promise<E>;
+
+export function on<E extends Event = Event>(
+    parent: Element | Document | string,
+    eventType: string,
+    childSelector: string,
+    callback: (event: E, target: Element) => void,
+    options?: AddEventListenerOptions
+): Unsubscribe;
+
+export function onPageChange(
+    callback: () => void,
+    options?: { threshold?: number; debounceMs?: number }
+): { disconnect(): void; observer: MutationObserver };
+
+export function batchDOM(operations: () => void): Promise<void>;
+
+// --- Animation ---
+
+export interface AnimationTiming extends KeyframeAnimationOptions {
+    /** Jump to the end under prefers-reduced-motion (default true). */
+    respectReducedMotion?: boolean;
+}
+
+export type Effect = string | Keyframe[] | false;
+
+export interface PresetResult {
+    keyframes: Keyframe[];
+    options?: KeyframeAnimationOptions;
+    before?: () => void;
+    after?: () => void;
+}
+
+export type PresetFactory = (element: Element, options: Record<string, unknown>) => PresetResult;
+export type PresetRunner = (element: Element, options?: AnimationTiming & Record<string, unknown>) => Promise<Animation | void>;
+
+export interface Presets {
+    register(name: string, factory: PresetFactory): Presets;
+    fadeIn: PresetRunner;
+    fadeOut: PresetRunner;
+    slideIn: PresetRunner;
+    slideOut: PresetRunner;
+    scaleIn: PresetRunner;
+    scaleOut: PresetRunner;
+    expand: PresetRunner;
+    collapse: PresetRunner;
+    shake: PresetRunner;
+    pulse: PresetRunner;
+    [name: string]: PresetRunner | Presets['register'];
+}
+
+export type Targets = Element | string | ArrayLike<Element>;
+/** A built-in preset or one added with presets.register(). */
+export type PresetName =
+    | 'fadeIn' | 'fadeOut' | 'slideIn' | 'slideOut' | 'scaleIn' | 'scaleOut'
+    | 'expand' | 'collapse' | 'shake' | 'pulse'
+    | (string & {});
+/** A time in ms, '<' (with the previous step), '<+=100', '+=100' or '-=100'. */
+export type TimelinePosition = number | string;
+export type TimelineStepOptions = AnimationTiming & Record<string, unknown> & {
+    stagger?: number | ((index: number, count: number) => number);
+};
+
+/** [targets, keyframes or preset name, options?], as passed to parallel(). */
+export type TimelineStep = [targets: Targets, keyframes: Keyframe[] | PresetName, options?: TimelineStepOptions];
+
+export interface Timeline {
+    add(targets: Targets, keyframes: Keyframe[] | PresetName, options?: TimelineStepOptions, position?: TimelinePosition): Timeline;
+    parallel(steps: TimelineStep[], position?: TimelinePosition): Timeline;
+    play(): Timeline;
+    pause(): Timeline;
+    resume(): Timeline;
+    reverse(): Timeline;
+    seek(time: number): Timeline;
+    finish(): Timeline;
+    cancel(): Timeline;
+    playbackRate: number;
+    readonly duration: number;
+    readonly currentTime: number;
+    readonly playState: AnimationPlayState;
+    readonly finished: Promise<Timeline>;
+}
+
+export type SpringValue = number | Record<string, number>;
+
+export interface SpringOptions<V extends SpringValue = number> {
+    from?: V;
+    to?: V;
+    stiffness?: number;
+    damping?: number;
+    mass?: number;
+    velocity?: V;
+    precision?: number;
+    onUpdate?: (value: V, velocity: V) => void;
+    onRest?: (value: V) => void;
+    element?: HTMLElement;
+    style?: (value: V) => Partial<CSSStyleDeclaration> | Record<string, string | number>;
+}
+
+export interface Spring<V extends SpringValue = number> {
+    set(to: V, options?: { velocity?: V }): Spring<V>;
+    jump(value: V): Spring<V>;
+    stop(): Spring<V>;
+    readonly value: V;
+    readonly velocity: V;
+    readonly target: V;
+    readonly isAnimating: boolean;
+    /** Resolves true once at rest, false if stopped first. */
+    readonly finished: Promise<boolean>;
+}
+
+export interface ScrollAnimateOptions extends AnimationTiming {
+    type?: 'scroll' | 'view';
+    source?: Element;
+    subject?: Element;
+    axis?: 'block' | 'inline' | 'x' | 'y';
+}
+
+export interface ScrollAnimation {
+    animation: Animation | null;
+    native: boolean;
+    readonly progress: number;
+    cancel(): void;
+}
+
+export interface TransitionOptions {
+    name?: string;
+    direction?: string;
+    types?: string[];
+    target?: Element | string;
+    duration?: number;
+}
+
+export function animate(element: Element, keyframes: Keyframe[], options?: KeyframeAnimationOptions): Promise<Animation | void>; // void from the CSS fallback
+export function fadeIn(element: Element, options?: AnimationTiming): Promise<Animation | void>;
+export function fadeOut(element: Element, options?: AnimationTiming): Promise<Animation | void>;
+export function transition<T>(update: () => T | Promise<T>, options?: TransitionOptions): Promise<T>;
+export function timeline(config?: { defaults?: AnimationTiming; respectReducedMotion?: boolean }): Timeline;
+export const presets: Presets;
+export function insert<E extends Element>(element: E, parent: Element | string, options?: AnimationTiming & { before?: Node | null; enter?: Effect }): Promise<E>;
+export function remove(element: Element, options?: AnimationTiming & { leave?: Effect }): Promise<boolean>;
+export function animateLayout(container: Element | string, mutate: () => unknown, options?: AnimationTiming & { enter?: Effect }): Promise<void>;
+export function spring<V extends SpringValue = number>(options: SpringOptions<V>): Spring<V>;
+export function scrollAnimate(element: Element, keyframes: Keyframe[], options?: ScrollAnimateOptions): ScrollAnimation;
+
+// --- State Management ---
+
+export interface StorageAdapter {
+    getItem(key: string): string | null | Promise<string | null>;
+    setItem(key: string, value: string): void | Promise<void>;
+    removeItem(key: string): void | Promise<void>;
+}
+
+export interface StorageAdapters {
+    local(): StorageAdapter;
+    session(): StorageAdapter;
+    memory(initial?: Record<string, string>): StorageAdapter;
+    indexedDB(dbName?: string, storeName?: string): StorageAdapter;
+}
+
+export interface PersistOptions<S> {
+    key?: string;
+    storage?: keyof StorageAdapters | StorageAdapter;
+    include?: Array<Path<S> | string> | null;
+    exclude?: Array<Path<S> | string>;
+    throttle?: number;
+    version?: number;
+    migrate?: ((data: any, fromVersion: number) => Partial<S>) | Record<number, (data: any) => any> | null;
+    sync?: boolean;
+}
+
+export interface ComputedDefinition {
+    deps: string | string[];
+    compute: (...values: any[]) => unknown;
+}
+
+export interface StoreOptions<S> {
+    name?: string;
+    computed?: Record<string, ComputedDefinition>;
+    history?: boolean | { limit?: number };
+    persist?: PersistOptions<S>;
+}
+
+export interface HistoryInfo {
+    index: number;
+    entries: Array<{ keys: string[]; timestamp: number }>;
+}
+
+export interface BindOptions<T = unknown> {
+    prop?: string;
+    transform?: (value: T) => unknown;
+    store?: Store<any> | string;
+    twoWay?: boolean;
+    event?: string;
+    parse?: (raw: unknown, element: Element) => T;
+    debounce?: number;
+}
+
+export interface Store<S extends object = Record<string, any>> {
+    readonly name: string | null;
+    getState(): S;
+    setState(newState: Partial<S>, options?: { merge?: boolean }): void;
+    subscribe(callback: (state: S, changedKeys: string[]) => void): Unsubscribe;
+    select<R>(selector: (state: S) => R, callback: (value: R, oldValue: R) => void, options?: { equals?: (a: R, b: R) => boolean }): Unsubscribe;
+    select<P extends Path<S>>(path: P, callback: (value: PathValue<S, P>, oldValue: PathValue<S, P>) => void, options?: { equals?: (a: PathValue<S, P>, b: PathValue<S, P>) => boolean }): Unsubscribe;
+    select(path: string, callback: (value: any, oldValue: any) => void, options?: { equals?: (a: any, b: any) => boolean }): Unsubscribe;
+    get<P extends Path<S>>(path: P): PathValue<S, P>;
+    get(path: string): unknown;
+    set<P extends Path<S>>(path: P, value: PathValue<S, P>): void;
+    computed(key: string, deps: string | string[], compute: (...values: any[]) => unknown): Unsubscribe;
+    transaction<R>(fn: (store: Store<S>) => R): R;
+    undo(): void;
+    redo(): void;
+    jumpTo(index: number): void;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    getHistory(): HistoryInfo;
+    clearHistory(): void;
+    readonly hydrated: Promise<Store<S>>;
+    clearPersisted(): Promise<void>;
+    bind<P extends Path<S>>(elementOrSelector: Element | string, stateKey: P, options?: Omit<BindOptions<PathValue<S, P>>, 'store'>): Promise<Unsubscribe | void>;
+    destroy(): void;
+    isDestroyed(): boolean;
+    getSubscriberCount(): number;
+}
+
+export type Validator<V = any, Values = any> = (value: V, values: Values) => string | boolean | undefined | null;
+
+export interface Validators {
+    required(message?: string): Validator;
+    minLength(length: number, message?: string): Validator;
+    maxLength(length: number, message?: string): Validator;
+    min(min: number, message?: string): Validator;
+    max(max: number, message?: string): Validator;
+    pattern(regex: RegExp, message?: string): Validator;
+    email(message?: string): Validator;
+}
+
+export interface FormOptions<V> {
+    store?: Store<any> | string;
+    validators?: { [K in keyof V]?: Validator<V[K], V> | Array<Validator<V[K], V>> } & Record<string, Validator | Validator[]>;
+    fields?: Record<string, Omit<BindOptions, 'store' | 'twoWay'>>;
+    onSubmit?: (values: V, controller: FormController<V>) => unknown;
+    metaPath?: string;
+}
+
+export interface FormController<V = Record<string, any>> {
+    form: HTMLFormElement;
+    errors: Record<string, string | undefined>;
+    touched: Record<string, boolean>;
+    dirty: Record<string, boolean>;
+    values(): V;
+    isValid(): boolean;
+    isDirty(): boolean;
+    validate(): boolean;
+    submit(): Promise<boolean>;
+    reset(): void;
+    destroy(): void;
+}
+
+export interface ListOptions<T = any> {
+    render: (item: T, index: number) => Element;
+    update?: (node: Element, item: T, index: number) => void;
+    key?: (T extends object ? keyof T & string : never) | ((item: T, index: number) => unknown);
+    transform?: (items: any) => readonly T[] | null | undefined;
+    store?: Store<any> | string;
+    virtual?: boolean | { estimatedHeight?: number; overscan?: number };
+}
+
+export interface ListController {
+    container: Element;
+    refresh(): void;
+    scrollToIndex(index: number, options?: { align?: 'start' | 'center' | 'end'; behavior?: ScrollBehavior }): void;
+    destroy(): void;
+}
+
+export function createStore<S extends object>(initialState: S, options?: StoreOptions<S>): Store<S>;
+export function getStore<S extends object = Record<string, any>>(name: string): Store<S> | null;
+export function bind<T = unknown>(elementOrSelector: Element | string, stateKey: string, options?: BindOptions<T>): Promise<Unsubscribe | void>;
+export function form<V = Record<string, any>>(formOrSelector: HTMLFormElement | string, path: string, options?: FormOptions<V>): Promise<FormController<V>>;
+export function list<T = any>(containerOrSelector: Element | string, stateKey: string, options: ListOptions<T>): Promise<ListController>;
+export const validators: Validators;
+export const storage: StorageAdapters;
+export function serializeState(options?: {
+    stores?: Array<Store<any> | string>;
+    router?: ResolvedRoute;
+    id?: string;
+}): string;
+
+// --- Data Fetching ---
+
+export interface RequestOptions extends Omit<RequestInit, 'body'> {
+    body?: BodyInit | Record<string, unknown> | unknown[] | null;
+    params?: Record<string, Primitive | Primitive[]>;
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number | ((attempt: number, error: Error) => number);
+    retryOn?: (error: Error, attempt: number) => boolean;
+    parse?: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'response' | ((response: Response) => unknown);
+    dedupe?: boolean;
+    staleTime?: number;
+    cacheTime?: number;
+    key?: string;
+    signal?: AbortSignal;
+}
+
+export interface RequestConfig extends RequestOptions {
+    url: string;
+}
+
+/** Thrown for non-2xx responses, with `name` 'HTTPError'. */
+export interface HTTPError extends Error {
+    status: number;
+    response: Response;
+    data: unknown;
+}
+
+export interface FetchClient {
+    <T = any>(url: string, options?: RequestOptions): Promise<T>;
+    interceptors: {
+        request: { use(fn: (config: RequestConfig) => RequestConfig | Promise<RequestConfig>): Unsubscribe };
+        response: {
+            use(
+                fulfilled?: ((data: any, info: { response: Response; config: RequestConfig }) => unknown) | null,
+                rejected?: (error: Error, config: RequestConfig) => unknown
+            ): Unsubscribe;
+        };
+    };
+    invalidate(match: string | ((key: string) => boolean)): void;
+    clearCache(): void;
+}
+
+export interface ResourceState<T> {
+    loading: boolean;
+    data: T | undefined;
+    error: Error | null;
+    updatedAt: number | null;
+    stale: boolean;
+}
+
+export interface ResourceOptions<T, P> extends Omit<RequestOptions, 'params'> {
+    params?: P;
+    immediate?: boolean;
+    initialData?: T;
+    store?: Store<any> | string;
+    path?: string;
+}
+
+export interface Resource<T, P = Record<string, unknown>> {
+    readonly key: string | null;
+    load(params?: P): Promise<T>;
+    refetch(): Promise<T>;
+    mutate(next: T | ((data: T | undefined) => T)): T;
+    subscribe(callback: (state: ResourceState<T>) => void): Unsubscribe;
+    abort(): void;
+    destroy(): void;
+    readonly state: ResourceState<T>;
+    readonly data: T | undefined;
+    readonly loading: boolean;
+    readonly error: Error | null;
+}
+
+export const fetch: FetchClient;
+export function resource<T = any, P = Record<string, unknown>>(source: string | ((params: P) => string), options?: ResourceOptions<T, P>): Resource<T, P>;
+
+// --- Web Components ---
+
+export type PropType = StringConstructor | NumberConstructor | BooleanConstructor | ArrayConstructor |
+    ObjectConstructor | FunctionConstructor | (abstract new (...args: any[]) => unknown);
+
+export interface PropConfig {
+    type?: PropType;
+    default?: unknown;
+    required?: boolean;
+    validator?: (value: any) => boolean;
+    reflect?: boolean;
+    attribute?: string | false;
+    fromAttribute?: (value: string, type: PropType | undefined) => unknown;
+    toAttribute?: (value: any, type: PropType | undefined) => string | null;
+}
+
+/** The element instance passed as `this` to component hooks and methods. */
+export interface AetherElement extends HTMLElement {
+    readonly state: Record<string, any>;
+    readonly updateComplete: Promise<void>;
+    readonly root: ShadowRoot | HTMLElement;
+    emit(eventName: string, detail?: unknown, options?: CustomEventInit): boolean;
+    provide(key: string, value: unknown): void;
+    slotted(slotName?: string): Node[];
+    requestUpdate(key?: string): Promise<void>;
+    render(changedKeys?: string[]): void;
+    [key: string]: any;
+}
+
+export interface ComponentConfig<M extends Record<string, Function> = Record<string, Function>> {
+    props?: Record<string, PropType | PropConfig>;
+    methods?: M & ThisType<AetherElement & M>;
+    state?: Record<string, unknown> | ((this: AetherElement) => Record<string, unknown>);
+    template?: string;
+    styles?: string;
+    shadowMode?: ShadowRootMode | false;
+    strict?: boolean | 'throw' | 'event';
+    emits?: string[] | Record<string, ((detail: any) => boolean) | null>;
+    connected?(this: AetherElement & M): void;
+    disconnected?(this: AetherElement & M): void;
+    attributeChanged?(this: AetherElement & M, name: string, oldValue: string | null, newValue: string | null): void;
+    beforeUpdate?(this: AetherElement & M, changedKeys: string[]): void;
+    updated?(this: AetherElement & M, changedKeys: string[]): void;
+    slotChanged?(this: AetherElement & M, slotName: string, nodes: Node[], slot: HTMLSlotElement): void;
+    provide?: Record<string, unknown> | ((this: AetherElement & M) => Record<string, unknown>);
+    inject?: string[] | Record<string, string | { from?: string; default?: unknown }>;
+    formAssociated?: boolean;
+    formValue?: string;
+    validate?(this: AetherElement & M, value: unknown): string | { flags?: ValidityStateFlags; message?: string; anchor?: HTMLElement } | null | undefined;
+    formChanged?(this: AetherElement & M, form: HTMLFormElement | null): void;
+    formReset?(this: AetherElement & M): void;
+    formDisabled?(this: AetherElement & M, disabled: boolean): void;
+    formStateRestore?(this: AetherElement & M, state: unknown, mode: 'restore' | 'autocomplete'): void;
+}
+
+export interface ContextProvider<T = unknown> {
+    set(value: T): ContextProvider<T>;
+    remove(): void;
+}
+
+export function define<M extends Record<string, Function> = {}>(name: string, config: ComponentConfig<M>): void;
+export function provide<T>(target: EventTarget, key: string, value: T): ContextProvider<T>;
+export function requestContext<T = unknown>(element: Element, key: string, callback: (value: T) => void): Unsubscribe;
+export function renderToString(name: string, options?: {
+    props?: Record<string, unknown>;
+    attrs?: Record<string, string | number | boolean>;
+    children?: string;
+    context?: Record<string, unknown>;
+}): string;
+
+// --- Utilities ---
+
+export interface Debounced<F extends (...args: any[]) => any> {
+    (...args: Parameters<F>): ReturnType<F> | undefined;
+    cancel(): void;
+}
+
+export function debounce<F extends (...args: any[]) => any>(func: F, wait: number, immediate?: boolean): Debounced<F>;
+export function throttle<F extends (...args: any[]) => any>(func: F, limit: number, options?: { leading?: boolean; trailing?: boolean }): (...args: Parameters<F>) => void;
+export function deepClone<T>(obj: T): T;
+
+// --- Routing ---
+
+export interface RouterOptions {
+    hashMode?: boolean;
+    baseUrl?: string;
+    caseSensitive?: boolean;
+    outlet?: Element | string | null;
+    scrollBehavior?: ScrollPositionOption;
+    focus?: string | false;
+    announce?: boolean | ((context: RouteContext) => string);
+    transitions?: boolean | string | { name?: string; duration?: number };
+}
+
+export type ScrollPosition = { top?: number; left?: number; behavior?: ScrollBehavior } | { el: Element | string; behavior?: ScrollBehavior };
+export type ScrollPositionOption = ScrollBehavior | false | null |
+    ((to: RouteContext, from: RouteContext | null, savedPosition: { top: number; left: number } | null) => ScrollPosition | false | Promise<ScrollPosition | false>);
+
+export interface MatchedRoute {
+    route: Route;
+    path: string;
+    params: Record<string, string | undefined>;
+    data?: unknown;
+}
+
+export interface NavigationContext<P extends string = string> {
+    path: string;
+    params: RouteParams<P>;
+    query: Query;
+    hash: string;
+    matched: MatchedRoute[];
+    signal?: AbortSignal;
+    /** Set by router.resolve(). */
+    server?: boolean;
+    /** Set on the landing navigation after init({ hydrate }). */
+    hydrating?: boolean;
+}
+
+export interface RouteContext<P extends string = string, D = any> extends NavigationContext<P> {
+    route: Route;
+    /** Element the route renders into; null on the server. */
+    outlet: Element | null;
+    depth: number;
+    data: D;
+    /** On the server: the nested route's handler result. */
+    children?: unknown;
+    error?: unknown;
+}
+
+export type GuardResult = boolean | string | { path: string; replace?: boolean } | void;
+export type Guard = (to: NavigationContext, from: NavigationContext | null) => GuardResult | Promise<GuardResult>;
+export type RouteHandler<P extends string = string, D = any> = (context: RouteContext<P, D>) => unknown;
+
+export interface RouteConfig<P extends string = string, D = any> {
+    handler?: RouteHandler<P, D>;
+    name?: string;
+    path?: string;
+    children?: RouteConfig[];
+    outlet?: string;
+    middleware?: Guard[];
+    beforeEnter?: Guard | Guard[];
+    beforeLeave?: Guard | Guard[];
+    loader?: (context: NavigationContext<P> & { route: Route }) => D | Promise<D>;
+    lazy?: () => Promise<RouteHandler<P, D> | { handler: RouteHandler<P, D>; loader?: RouteConfig<P, D>['loader'] } | { default: unknown }>;
+    title?: string | ((context: NavigationContext<P>) => string);
+    scrollBehavior?: ScrollPositionOption;
+    transition?: string | false | { name?: string; duration?: number };
+    /** Renders in place of this route when it or a nested route fails to load or render. */
+    errorBoundary?: (context: ErrorBoundaryContext<P>) => unknown;
+}
+
+export interface ErrorBoundaryContext<P extends string = string> extends NavigationContext<P> {
+    /** The route owning the boundary. */
+    route: Route;
+    /** Where the boundary route renders; null on the server. */
+    outlet: Element | null;
+    depth: number;
+    error: unknown;
+    /** The route whose lazy load, loader or handler failed. */
+    failedRoute: Route;
+}
+
+export interface Route extends RouteConfig {
+    path: string;
+    fullPath: string;
+    parent: Route | null;
+    children: Route[];
+}
+
+export type NavigationTarget = string | { path: string; query?: Record<string, unknown> } |
+    { name: string; params?: Record<string, string | number>; query?: Record<string, unknown> };
+
+export interface ResolvedRoute {
+    status: 200 | 302 | 403 | 404 | 500;
+    redirect: string | null;
+    error: unknown;
+    title: string | null;
+    context: NavigationContext;
+    matched: Array<MatchedRoute & { result: unknown }>;
+    result: unknown;
+}
+
+export interface RouterEvents {
+    navigationstart: { to: NavigationContext; from: NavigationContext | null };
+    navigationend: { to: NavigationContext; from: NavigationContext | null; completed: boolean; redirects: number };
+    navigationerror: { to: NavigationContext; error: unknown };
+    querychange: { query: Query; context: NavigationContext };
+}
+
+export interface Router {
+    add<P extends string>(path: P, handler: RouteHandler<P> | RouteConfig<P>, middleware?: Guard[]): Router;
+    use(middleware: Guard): Router;
+    beforeEach(guard: Guard): Unsubscribe;
+    afterEach(hook: (to: NavigationContext, from: NavigationContext | null) => void): Unsubscribe;
+    beforeLeave(guard: Guard): Unsubscribe;
+    setNotFound(handler: (context: NavigationContext) => unknown): Router;
+    setError(handler: (context: NavigationContext & { error: unknown; outlet: Element | null; failedRoute?: Route }) => unknown): Router;
+    on<K extends keyof RouterEvents>(eventName: K, listener: (detail: RouterEvents[K]) => void): Unsubscribe;
+    readonly isNavigating: boolean;
+    navigate(target: NavigationTarget, options?: { replace?: boolean }): Router;
+    url(name: string, params?: Record<string, string | number>, query?: Record<string, unknown>): string;
+    setQuery(partial: Record<string, unknown>, options?: { push?: boolean }): Router;
+    getQuery(): Query;
+    /** Resolves to whether the latest navigation completed. */
+    navigation: Promise<boolean>;
+    getCurrentRoute(): Route | null;
+    resolve(url: NavigationTarget): Promise<ResolvedRoute>;
+    getMatched(): MatchedRoute[];
+    init(options?: { hydrate?: boolean | { data?: unknown[] } }): Router;
+    destroy(): void;
+}
+
+export function router(options?: RouterOptions): Router;
+
+// --- Performance & Debugging ---
+
+export function measure<T>(name: string, fn: () => T): T;
+export function getMemoryUsage(): { used: number; total: number; limit: number } | null;
+
+export type DevtoolsTab = 'Stores' | 'Bindings' | 'Routes' | 'Components' | 'Timings';
+
+export interface FlushLogEntry {
+    store: string;
+    changedKeys: string[];
+    /** First stack frame outside the library, e.g. "onClick (app.js:12:5)". */
+    caller: string | null;
+    at: number;
+}
+
+export interface NavigationLogEntry {
+    url: string;
+    source: string;
+    completed: boolean;
+    redirects: number;
+    at: number;
+    duration: number;
+}
+
+export interface TimingLogEntry {
+    name: string;
+    duration: number;
+    at: number;
+}
+
+export interface DevtoolsSnapshot {
+    stores: { name: string; state: unknown; subscribers: number; computed: string[]; bindings: number }[];
+    bindings: { element: string; connected: boolean; bindings: { store: string; key: string; prop: string }[] }[];
+    routers: {
+        routes: { path: string; name: string | null; lazy: boolean; loader: boolean; guards: number }[];
+        url: string | null;
+        mode: 'hash' | 'history';
+    }[];
+    components: { name: string; props: string[]; instances: { element: string; props: Record<string, unknown> }[] }[];
+    flushes: FlushLogEntry[];
+    navigations: NavigationLogEntry[];
+    timings: TimingLogEntry[];
+    memory: ReturnType<typeof getMemoryUsage>;
+}
+
+export interface DevtoolsEvents {
+    'store:flush': FlushLogEntry;
+    'router:navigation': NavigationLogEntry;
+    'measure': TimingLogEntry;
+}
+
+/** Installed as `window.__AETHER_DEVTOOLS__` while devtools are enabled. */
+export interface DevtoolsHook {
+    snapshot(): DevtoolsSnapshot;
+    subscribe(listener: <K extends keyof DevtoolsEvents>(type: K, entry: DevtoolsEvents[K]) => void): () => void;
+    open(tab?: DevtoolsTab): void;
+    close(): void;
+    clear(): void;
+}
+
+export interface Devtools {
+    enable(options?: { overlay?: boolean; open?: boolean; logLimit?: number }): Devtools;
+    disable(): void;
+    readonly enabled: boolean;
+    snapshot(): DevtoolsSnapshot;
+    open(tab?: DevtoolsTab): void;
+    close(): void;
+    clear(): void;
+}
+
+export const devtools: Devtools;
+
+export const version: string;
+
+declare const aether: {
+    configure: typeof configure;
+    waitFor: typeof waitFor;
+    on: typeof on;
+    onPageChange: typeof onPageChange;
+    batchDOM: typeof batchDOM;
+    animate: typeof animate;
+    fadeIn: typeof fadeIn;
+    fadeOut: typeof fadeOut;
+    transition: typeof transition;
+    timeline: typeof timeline;
+    presets: Presets;
+    insert: typeof insert;
+    remove: typeof remove;
+    animateLayout: typeof animateLayout;
+    spring: typeof spring;
+    scrollAnimate: typeof scrollAnimate;
+    createStore: typeof createStore;
+    getStore: typeof getStore;
+    bind: typeof bind;
+    form: typeof form;
+    validators: Validators;
+    storage: StorageAdapters;
+    serializeState: typeof serializeState;
+    list: typeof list;
+    fetch: FetchClient;
+    resource: typeof resource;
+    define: typeof define;
+    provide: typeof provide;
+    requestContext: typeof requestContext;
+    renderToString: typeof renderToString;
+    debounce: typeof debounce;
+    throttle: typeof throttle;
+    deepClone: typeof deepClone;
+    router: typeof router;
+    measure: typeof measure;
+    getMemoryUsage: typeof getMemoryUsage;
+    devtools: Devtools;
+    version: string;
+};
+
+export default aether;